@@ -1,7 +1,24 @@
-module.exports = {
-  presets: [
-    '@babel/preset-env',
-    ['@babel/preset-react', { runtime: 'automatic' }],
-    '@babel/preset-typescript',
-  ],
+module.exports = (api) => {
+  // The modern compilation of the differential build targets browsers with
+  // ES module support, see config/differentialBuild.js.
+  const modern = api.caller((caller) => Boolean(caller && caller.modern));
+
+  return {
+    presets: [
+      modern
+        ? [
+            '@babel/preset-env',
+            { targets: { esmodules: true }, bugfixes: true },
+          ]
+        : '@babel/preset-env',
+      ['@babel/preset-react', { runtime: 'automatic' }],
+      '@babel/preset-typescript',
+    ],
+    env: {
+      // Jest runs the compiled code in Node, not in the browsers from browserslist.
+      test: {
+        presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+      },
+    },
+  };
 };
@@ -0,0 +1,180 @@
+'use strict';
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { Compilation, sources } = require('webpack');
+
+// Post-build asset pipeline for production builds. Configured through the
+// "assets" field of boilerplate.config.js:
+//
+//   assets: {
+//     // Rewrite emitted files. Runs after minification, before the content
+//     // hashes are finalized. `content` is a string for text files and a
+//     // Buffer otherwise. Return a string or Buffer to replace the file, or
+//     // nothing to leave it as is. May be async.
+//     transforms: [{ test: /\.html$/, transform: (content, { name }) => ... }],
+//     // `.gz` and `.br` siblings for servers that serve precompressed files
+//     // (nginx `gzip_static`/`brotli_static`). `false` turns it off.
+//     compression: { threshold: 1024, test: /\.(js|css|html)$/ },
+//   }
+//
+// Assets emitted with `precompress: false` in their info are not compressed.
+//
+// Compressed sizes are exposed through `getCompressedSizes()` for the asset
+// manifest.
+
+const gzip = promisify(zlib.gzip);
+const brotli = promisify(zlib.brotliCompress);
+
+const DEFAULT_COMPRESSION = {
+  // Below this many bytes the request overhead dwarfs the savings.
+  threshold: 1024,
+  test: /\.(js|css|html|svg|json|txt|xml|webmanifest)$/,
+  gzip: true,
+  brotli: true,
+};
+
+const ENCODINGS = {
+  gzip: {
+    extension: '.gz',
+    compress: (content) =>
+      gzip(content, { level: zlib.constants.Z_BEST_COMPRESSION }),
+  },
+  brotli: {
+    extension: '.br',
+    compress: (content) =>
+      brotli(content, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]:
+            zlib.constants.BROTLI_MAX_QUALITY,
+        },
+      }),
+  },
+};
+
+const PLUGIN_NAME = 'AssetPipelinePlugin';
+
+function validateTransforms(transforms) {
+  transforms.forEach((entry, index) => {
+    if (!entry || typeof entry.transform !== 'function') {
+      throw new Error(
+        `assets.transforms[${index}] in boilerplate.config.js needs a ` +
+          '`transform(content, { name })` function.'
+      );
+    }
+  });
+}
+
+class AssetPipelinePlugin {
+  constructor({ transforms = [], compression = {} } = {}) {
+    validateTransforms(transforms);
+    this.transforms = transforms;
+    this.compression =
+      compression === false ? null : { ...DEFAULT_COMPRESSION, ...compression };
+    this.compressedSizes = {};
+  }
+
+  // File name -> { size, gzip, brotli } of the last compilation. An encoding
+  // is missing when it didn't make the file smaller.
+  getCompressedSizes() {
+    return this.compressedSizes;
+  }
+
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      this.compressedSizes = {};
+
+      if (this.transforms.length) {
+        compilation.hooks.processAssets.tapPromise(
+          {
+            name: PLUGIN_NAME,
+            // After minification and html-webpack-plugin, before
+            // RealContentHashPlugin updates the hashes in file names.
+            stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_INLINE + 1,
+          },
+          () => this.runTransforms(compilation)
+        );
+      }
+
+      if (this.compression) {
+        compilation.hooks.processAssets.tapPromise(
+          {
+            name: PLUGIN_NAME,
+            // Last, so the service worker and any other late asset is
+            // compressed too.
+            stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_TRANSFER,
+          },
+          () => this.compressAssets(compilation)
+        );
+      }
+    });
+  }
+
+  async runTransforms(compilation) {
+    for (const asset of compilation.getAssets()) {
+      for (const { test, transform } of this.transforms) {
+        if (test && !test.test(asset.name)) continue;
+
+        // Read the current source: an earlier transform may have replaced it.
+        // Text assets come as strings, and should stay strings so
+        // RealContentHashPlugin can still rewrite the hashes inside them.
+        const content = compilation.getAsset(asset.name).source.source();
+        const result = await transform(content, {
+          name: asset.name,
+          compilation,
+        });
+        if (result == null) continue;
+
+        const updated = Buffer.isBuffer(result) ? result : String(result);
+        compilation.updateAsset(asset.name, new sources.RawSource(updated));
+      }
+    }
+  }
+
+  async compressAssets(compilation) {
+    const { threshold, test } = this.compression;
+    const encodings = Object.keys(ENCODINGS).filter(
+      (encoding) => this.compression[encoding]
+    );
+
+    const candidates = compilation
+      .getAssets()
+      .filter(
+        ({ name, info }) =>
+          test.test(name) && !info.compressed && info.precompress !== false
+      );
+
+    for (const { name, source, info } of candidates) {
+      const content = source.buffer();
+      if (content.length < threshold) continue;
+
+      const sizes = { size: content.length };
+      const related = {};
+
+      for (const encoding of encodings) {
+        const { extension, compress } = ENCODINGS[encoding];
+        const compressed = await compress(content);
+        // Serving a file that didn't shrink only costs the client a decode.
+        if (compressed.length >= content.length) continue;
+
+        compilation.emitAsset(
+          name + extension,
+          new sources.RawSource(compressed),
+          { compressed: true, immutable: info.immutable }
+        );
+        sizes[encoding] = compressed.length;
+        related[encoding] = name + extension;
+      }
+
+      if (Object.keys(related).length) {
+        this.compressedSizes[name] = sizes;
+        // Lets the stats output group the siblings under their original.
+        compilation.updateAsset(name, source, {
+          related: { ...info.related, ...related },
+        });
+      }
+    }
+  }
+}
+
+module.exports = { AssetPipelinePlugin, ENCODINGS };
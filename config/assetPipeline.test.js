@@ -0,0 +1,116 @@
+/** @jest-environment node */
+'use strict';
+
+const zlib = require('zlib');
+const { sources } = require('webpack');
+const { AssetPipelinePlugin } = require('./assetPipeline');
+
+// The asset methods of a webpack compilation, over an in-memory file list.
+function createCompilation(files) {
+  const assets = new Map();
+  const compilation = {
+    getAssets: () => Array.from(assets.values()),
+    getAsset: (name) => assets.get(name),
+    emitAsset: (name, source, info = {}) => {
+      assets.set(name, { name, source, info });
+    },
+    updateAsset: (name, source, info = {}) => {
+      const asset = assets.get(name);
+      assets.set(name, { name, source, info: { ...asset.info, ...info } });
+    },
+  };
+  Object.keys(files).forEach((name) =>
+    compilation.emitAsset(name, new sources.RawSource(files[name]))
+  );
+  return compilation;
+}
+
+const contentOf = (compilation, name) =>
+  compilation.getAsset(name).source.source();
+
+describe('AssetPipelinePlugin', () => {
+  it('requires a transform function', () => {
+    expect(
+      () => new AssetPipelinePlugin({ transforms: [{ test: /\.js$/ }] })
+    ).toThrow('assets.transforms[0] in boilerplate.config.js needs');
+  });
+
+  it('runs the matching transforms in order', async () => {
+    const compilation = createCompilation({
+      'index.html': '<p>Hi</p>',
+      'main.js': 'hi()',
+    });
+    const plugin = new AssetPipelinePlugin({
+      transforms: [
+        { test: /\.html$/, transform: (content) => content.toUpperCase() },
+        { transform: async (content, { name }) => `${content}<!--${name}-->` },
+        { test: /\.js$/, transform: () => undefined },
+      ],
+    });
+
+    await plugin.runTransforms(compilation);
+
+    expect(contentOf(compilation, 'index.html')).toBe(
+      '<P>HI</P><!--index.html-->'
+    );
+    expect(contentOf(compilation, 'main.js')).toBe('hi()<!--main.js-->');
+  });
+
+  it('compresses matching assets above the threshold', async () => {
+    const script = 'console.log("hello");\n'.repeat(100);
+    const compilation = createCompilation({
+      'main.js': script,
+      'small.js': 'hi()',
+      'logo.png': script,
+    });
+    const plugin = new AssetPipelinePlugin();
+
+    await plugin.compressAssets(compilation);
+
+    const gzipped = compilation.getAsset('main.js.gz');
+    const brotli = compilation.getAsset('main.js.br');
+    expect(zlib.gunzipSync(gzipped.source.buffer()).toString()).toBe(script);
+    expect(zlib.brotliDecompressSync(brotli.source.buffer()).toString()).toBe(
+      script
+    );
+    expect(gzipped.info.compressed).toBe(true);
+    expect(compilation.getAsset('main.js').info.related).toEqual({
+      gzip: 'main.js.gz',
+      brotli: 'main.js.br',
+    });
+    expect(plugin.getCompressedSizes()).toEqual({
+      'main.js': {
+        size: script.length,
+        gzip: gzipped.source.size(),
+        brotli: brotli.source.size(),
+      },
+    });
+    expect(compilation.getAssets().map((asset) => asset.name).sort()).toEqual(
+      ['logo.png', 'main.js', 'main.js.br', 'main.js.gz', 'small.js']
+    );
+  });
+
+  it('leaves out assets marked with precompress: false', async () => {
+    const compilation = createCompilation({});
+    compilation.emitAsset(
+      'service-worker.js',
+      new sources.RawSource('self.skipWaiting();\n'.repeat(100)),
+      { precompress: false }
+    );
+
+    await new AssetPipelinePlugin().compressAssets(compilation);
+
+    expect(compilation.getAssets()).toHaveLength(1);
+  });
+
+  it('only compresses with the enabled encodings', async () => {
+    const compilation = createCompilation({ 'main.css': 'a{}'.repeat(500) });
+
+    await new AssetPipelinePlugin({
+      compression: { brotli: false },
+    }).compressAssets(compilation);
+
+    expect(compilation.getAsset('main.css.gz')).toBeDefined();
+    expect(compilation.getAsset('main.css.br')).toBeUndefined();
+  });
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+const express = require('express');
+
+// Router for the local collectors of what the app reports with
+// `src/sendBeacon.ts` (see `./errorCollector.js`). A POST to `path` is passed
+// to `receive(body)`, which returns an error message if it can't use it; a
+// GET responds with `list()`.
+function createBeaconRouter(path, { receive, list, limit = '100kb' }) {
+  const router = express.Router();
+
+  router.get(path, (req, res) => {
+    res.json(list());
+  });
+
+  // Beacons are sent as text/plain.
+  router.post(path, express.json({ type: () => true, limit }), (req, res) => {
+    const problem = receive(req.body);
+    if (problem) res.status(400).json({ error: problem });
+    else res.status(204).end();
+  });
+
+  // Malformed JSON.
+  router.use((err, req, res, next) => {
+    res.status(400).json({ error: err.message });
+  });
+
+  return router;
+}
+
+module.exports = createBeaconRouter;
@@ -0,0 +1,180 @@
+'use strict';
+
+const fs = require('fs-extra');
+const micromatch = require('micromatch');
+const chalk = require('react-dev-utils/chalk');
+const paths = require('./paths');
+const { createSizeReader, formatSize } = require('./fileSizes');
+const { print } = require('./logger').child('budgets');
+
+// Bundle-size budgets are declared in the "budgets" field of package.json or
+// of boilerplate.config.js (which wins):
+//
+//   "budgets": {
+//     "entrypoints": { "main": { "gzip": "250kb", "raw": "800kb" } },
+//     "chunks": { "vendors-*": { "gzip": "150kb" } },
+//     "types": { "js": { "gzip": "400kb" }, "css": {}, "media": {} }
+//   }
+//
+// - entrypoints: every file the entrypoint loads up front, keyed by name
+//   ("*" applies to each entrypoint)
+// - chunks: every file of a chunk whose name, id or file path matches the glob
+// - types: all emitted js, css or media (everything else but html, json,
+//   source maps and licenses) files together
+// A limit is a number of bytes or a string such as "250kb" or "1.5mb", and is
+// checked against the gzipped and/or the raw size.
+
+const ASSET_TYPES = ['js', 'css', 'media'];
+const IGNORED_ASSETS = /\.(map|html|json|txt|gz|br)$/;
+const UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+function parseSize(limit) {
+  if (typeof limit === 'number') return limit;
+
+  const match = /^\s*([\d.]+)\s*(b|kb|mb)?\s*$/i.exec(String(limit));
+  if (!match) {
+    throw new Error(`Invalid budget size ${chalk.yellow(limit)}.`);
+  }
+  return Math.round(
+    parseFloat(match[1]) * UNITS[(match[2] || 'b').toLowerCase()]
+  );
+}
+
+// Read the budgets from boilerplate.config.js or package.json. Returns null if
+// none are declared.
+function loadBudgets(overrides = {}) {
+  const budgets =
+    overrides.budgets || require(paths.appPackageJson).budgets || null;
+  if (!budgets) return null;
+
+  const unknownType = Object.keys(budgets.types || {}).find(
+    (type) => !ASSET_TYPES.includes(type)
+  );
+  if (unknownType) {
+    throw new Error(
+      `Unknown budget type "${unknownType}". Use one of: ${ASSET_TYPES.join(
+        ', '
+      )}.`
+    );
+  }
+  return budgets;
+}
+
+function getAssetType(file) {
+  if (file.endsWith('.js')) return 'js';
+  if (file.endsWith('.css')) return 'css';
+  return IGNORED_ASSETS.test(file) || /LICENSE/.test(file) ? null : 'media';
+}
+
+function check(kind, name, files, limits, readSize) {
+  const sizes = files.reduce(
+    (total, file) => {
+      const size = readSize(file);
+      return { raw: total.raw + size.raw, gzip: total.gzip + size.gzip };
+    },
+    { raw: 0, gzip: 0 }
+  );
+  const parsedLimits = {};
+  const exceeded = [];
+
+  ['gzip', 'raw'].forEach((measure) => {
+    if (limits[measure] == null) return;
+    parsedLimits[measure] = parseSize(limits[measure]);
+    if (sizes[measure] > parsedLimits[measure]) exceeded.push(measure);
+  });
+
+  return { kind, name, files, ...sizes, limits: parsedLimits, exceeded };
+}
+
+// Measure the emitted files of a finished compilation against the budgets.
+function checkBudgets(stats, buildFolder, budgets) {
+  const { compilation } = stats;
+  const readSize = createSizeReader(buildFolder);
+  const isBudgeted = (file) => getAssetType(file) !== null;
+  const results = [];
+
+  const entrypointBudgets = budgets.entrypoints || {};
+  compilation.entrypoints.forEach((entrypoint, name) => {
+    const limits = entrypointBudgets[name] || entrypointBudgets['*'];
+    if (!limits) return;
+    const files = entrypoint.getFiles().filter(isBudgeted);
+    results.push(check('entrypoint', name, files, limits, readSize));
+  });
+
+  Object.keys(budgets.chunks || {}).forEach((glob) => {
+    compilation.chunks.forEach((chunk) => {
+      const files = Array.from(chunk.files).filter(isBudgeted);
+      const candidates = [chunk.name, String(chunk.id), ...files].filter(
+        Boolean
+      );
+      if (!files.length || !micromatch.some(candidates, glob)) return;
+      results.push(
+        check(
+          'chunk',
+          chunk.name || String(chunk.id),
+          files,
+          budgets.chunks[glob],
+          readSize
+        )
+      );
+    });
+  });
+
+  const assets = compilation.getAssets().map((asset) => asset.name);
+  Object.keys(budgets.types || {}).forEach((type) => {
+    const files = assets.filter((file) => getAssetType(file) === type);
+    results.push(check('type', type, files, budgets.types[type], readSize));
+  });
+
+  return {
+    passed: results.every((result) => !result.exceeded.length),
+    results,
+  };
+}
+
+function printBudgetOffenders({ results }) {
+  const offenders = results.filter((result) => result.exceeded.length);
+  const rows = [['Budget', 'Name', 'Measure', 'Size', 'Limit', 'Over']];
+
+  offenders.forEach((result) => {
+    result.exceeded.forEach((measure) => {
+      const size = result[measure];
+      const limit = result.limits[measure];
+      rows.push([
+        result.kind,
+        result.name,
+        measure,
+        formatSize(size),
+        formatSize(limit),
+        `+${formatSize(size - limit)}`,
+      ]);
+    });
+  });
+
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  const lines = rows.map((row, index) => {
+    const line = row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join('  ')
+      .trimEnd();
+    return '  ' + (index === 0 ? chalk.bold(line) : chalk.red(line));
+  });
+  print(lines.join('\n'), offenders);
+}
+
+function writeBudgetReport(report) {
+  fs.writeJsonSync(
+    paths.appBudgetReport,
+    { createdAt: new Date().toISOString(), ...report },
+    { spaces: 2 }
+  );
+}
+
+module.exports = {
+  loadBudgets,
+  checkBudgets,
+  printBudgetOffenders,
+  writeBudgetReport,
+};
@@ -0,0 +1,129 @@
+/** @jest-environment node */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { checkBudgets, loadBudgets } = require('./budgets');
+
+const buildFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'budgets-'));
+const files = {
+  'static/js/main.js': 2000,
+  'static/js/vendors-react.js': 500,
+  'static/css/main.css': 100,
+  'static/media/logo.svg': 300,
+  'static/js/main.js.map': 5000,
+  'index.html': 400,
+};
+
+// The parts of a webpack compilation the budgets look at.
+const stats = {
+  compilation: {
+    entrypoints: new Map([
+      [
+        'main',
+        {
+          getFiles: () => [
+            'static/js/vendors-react.js',
+            'static/js/main.js',
+            'static/css/main.css',
+            'static/js/main.js.map',
+          ],
+        },
+      ],
+    ]),
+    chunks: new Set([
+      { id: 1, name: 'vendors-react', files: ['static/js/vendors-react.js'] },
+      { id: 2, name: 'main', files: ['static/js/main.js'] },
+    ]),
+    getAssets: () => Object.keys(files).map((name) => ({ name })),
+  },
+};
+
+beforeAll(() => {
+  Object.keys(files).forEach((file) => {
+    fs.outputFileSync(path.join(buildFolder, file), 'a'.repeat(files[file]));
+  });
+});
+
+afterAll(() => {
+  fs.removeSync(buildFolder);
+});
+
+const check = (budgets) => checkBudgets(stats, buildFolder, budgets);
+
+describe('loadBudgets', () => {
+  it('prefers the budgets of boilerplate.config.js', () => {
+    const budgets = { types: { js: { raw: 100 } } };
+    expect(loadBudgets({ budgets })).toBe(budgets);
+  });
+
+  it('rejects unknown asset types', () => {
+    expect(() => loadBudgets({ budgets: { types: { fonts: {} } } })).toThrow(
+      'Unknown budget type "fonts". Use one of: js, css, media.'
+    );
+  });
+});
+
+describe('checkBudgets', () => {
+  it('adds up the files an entrypoint loads, but not source maps', () => {
+    const { passed, results } = check({
+      entrypoints: { main: { raw: '2.6kb' } },
+    });
+
+    expect(passed).toBe(true);
+    expect(results).toEqual([
+      expect.objectContaining({
+        kind: 'entrypoint',
+        name: 'main',
+        raw: 2600,
+        limits: { raw: 2662 },
+        exceeded: [],
+      }),
+    ]);
+  });
+
+  it('applies "*" to every entrypoint', () => {
+    const { passed, results } = check({
+      entrypoints: { '*': { raw: 2000 } },
+    });
+
+    expect(passed).toBe(false);
+    expect(results[0]).toMatchObject({ name: 'main', exceeded: ['raw'] });
+  });
+
+  it('matches chunks by name', () => {
+    const { results } = check({ chunks: { 'vendors-*': { raw: 400 } } });
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({
+      kind: 'chunk',
+      name: 'vendors-react',
+      raw: 500,
+      exceeded: ['raw'],
+    });
+  });
+
+  it('adds up all files of a type', () => {
+    const { results } = check({ types: { js: { raw: 5000 }, media: {} } });
+
+    expect(results.map(({ name, files, raw }) => [name, files, raw])).toEqual([
+      ['js', ['static/js/main.js', 'static/js/vendors-react.js'], 2500],
+      ['media', ['static/media/logo.svg'], 300],
+    ]);
+  });
+
+  it('checks the gzipped size', () => {
+    const { results } = check({ entrypoints: { main: { gzip: 10 } } });
+
+    expect(results[0].gzip).toBeGreaterThan(10);
+    expect(results[0].gzip).toBeLessThan(results[0].raw);
+    expect(results[0].exceeded).toEqual(['gzip']);
+  });
+
+  it('rejects invalid sizes', () => {
+    expect(() => check({ types: { js: { raw: '1 gigabyte' } } })).toThrow(
+      /Invalid budget size/
+    );
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const webpack = require('webpack');
+const paths = require('./paths');
+const { dotenvFiles } = require('./env');
+
+// webpack's filesystem cache, in node_modules/.cache/webpack. Every mode and
+// compilation has its own (`development`, `production-modern`,
+// `production-staging-node`...). A cache is only used while the resolved
+// config, the .env files, the babel config, package.json and the lockfile are
+// unchanged.
+//
+// `--no-cache` compiles without it, `--clear-cache` deletes it first.
+
+const LOCKFILES = ['npm-shrinkwrap.json', 'package-lock.json', 'yarn.lock'];
+
+const isCacheDisabled = () => process.argv.includes('--no-cache');
+
+function clearCache() {
+  fs.removeSync(paths.appWebpackCache);
+}
+
+// The config as text: functions by their source, class instances (plugins)
+// by their name and fields.
+function serializeConfig(config) {
+  const seen = new WeakSet();
+  return JSON.stringify(config, (key, value) => {
+    if (typeof value === 'function' || value instanceof RegExp) {
+      return value.toString();
+    }
+    if (value === null || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+    const name = value.constructor && value.constructor.name;
+    return Array.isArray(value) || name === 'Object'
+      ? value
+      : { [name]: { ...value } };
+  });
+}
+
+// The `cache` option of `config`, which has to be complete but for it.
+function getCacheConfig(config, { mode, target, variant }) {
+  if (isCacheDisabled()) return false;
+
+  // The dev server's options (e.g. the port) don't change the output.
+  const { devServer, ...compilerConfig } = config;
+  const hash = crypto.createHash('md5');
+  hash.update(serializeConfig(compilerConfig));
+  // Also the .env files, as loaders and plugins read process.env themselves.
+  dotenvFiles.forEach((file) => {
+    hash.update(file);
+    hash.update(fs.existsSync(file) ? fs.readFileSync(file) : '');
+  });
+
+  const files = [
+    path.join(paths.appPath, '.babelrc.js'),
+    paths.appPackageJson,
+    paths.appConfig,
+    ...LOCKFILES.map((file) => path.join(paths.appPath, file)),
+  ].filter((file) => fs.existsSync(file));
+
+  return {
+    type: 'filesystem',
+    cacheDirectory: paths.appWebpackCache,
+    name: [
+      mode,
+      process.env.APP_MODE !== mode && process.env.APP_MODE,
+      variant || (target === 'node' && target),
+    ]
+      .filter(Boolean)
+      .join('-'),
+    version: hash.digest('hex'),
+    buildDependencies: {
+      // The config modules, and what they require.
+      config: [require.resolve('./webpack.config'), ...files],
+    },
+  };
+}
+
+// How many modules of the compilation(s) came from the cache, and how long
+// they took. Concatenated modules count as the modules they're made of;
+// webpack's runtime isn't cached and extracted CSS counts as the module it
+// was extracted from.
+function summarizeCache(stats) {
+  return (stats.stats || [stats]).map(({ compilation, startTime, endTime }) => {
+    const modules = Array.from(compilation.modules)
+      .filter(
+        (module) =>
+          !(module instanceof webpack.RuntimeModule) &&
+          module.type !== 'css/mini-extract'
+      )
+      .reduce((result, module) => result.concat(module.modules || module), []);
+    const built = modules.filter((module) =>
+      compilation.builtModules.has(module)
+    ).length;
+    return {
+      name: compilation.name || compilation.options.mode,
+      cached: modules.length - built,
+      total: modules.length,
+      time: endTime - startTime,
+    };
+  });
+}
+
+// E.g. "modern: hit, 812 of 815 modules from cache, 4.2s".
+function formatCacheSummary({ name, cached, total, time }) {
+  const result = !cached ? 'miss' : cached === total ? 'hit' : 'partial hit';
+  return (
+    `${name}: ${result}, ${cached} of ${total} modules from cache, ` +
+    `${(time / 1000).toFixed(1)}s`
+  );
+}
+
+module.exports = {
+  isCacheDisabled,
+  clearCache,
+  getCacheConfig,
+  summarizeCache,
+  formatCacheSummary,
+};
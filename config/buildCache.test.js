@@ -0,0 +1,97 @@
+/** @jest-environment node */
+'use strict';
+
+const webpack = require('webpack');
+const {
+  getCacheConfig,
+  summarizeCache,
+  formatCacheSummary,
+} = require('./buildCache');
+
+describe('getCacheConfig', () => {
+  const { APP_MODE } = process.env;
+  beforeEach(() => {
+    process.env.APP_MODE = 'production';
+  });
+  afterEach(() => {
+    process.env.APP_MODE = APP_MODE;
+  });
+
+  const config = {
+    mode: 'production',
+    module: { rules: [{ test: /\.tsx?$/, loader: 'babel-loader' }] },
+    devServer: { port: 3000 },
+  };
+  const getConfig = (overrides, options = {}) =>
+    getCacheConfig(
+      { ...config, ...overrides },
+      { mode: 'production', target: 'web', ...options }
+    );
+
+  it('names the cache after the mode and the compilation', () => {
+    expect(getConfig({}).name).toBe('production');
+    expect(getConfig({}, { variant: 'modern' }).name).toBe('production-modern');
+    expect(getConfig({}, { target: 'node' }).name).toBe('production-node');
+
+    process.env.APP_MODE = 'staging';
+    expect(getConfig({}, { variant: 'legacy' }).name).toBe(
+      'production-staging-legacy'
+    );
+  });
+
+  it('invalidates the cache when the config changes', () => {
+    const { version } = getConfig({});
+
+    expect(getConfig({}).version).toBe(version);
+    expect(getConfig({ devServer: { port: 3001 } }).version).toBe(version);
+    expect(
+      getConfig({ module: { rules: [{ test: /\.ts$/ }] } }).version
+    ).not.toBe(version);
+    const withBanner = (banner) =>
+      getConfig({ plugins: [new webpack.BannerPlugin(banner)] }).version;
+    expect(withBanner('a')).not.toBe(withBanner('b'));
+  });
+
+  it('is off with --no-cache', () => {
+    process.argv.push('--no-cache');
+    try {
+      expect(getConfig({})).toBe(false);
+    } finally {
+      process.argv.pop();
+    }
+  });
+});
+
+describe('summarizeCache', () => {
+  it('counts the modules that were not built again', () => {
+    const cached = { type: 'javascript/auto' };
+    const built = { type: 'javascript/auto' };
+    const concatenated = {
+      modules: [{ type: 'javascript/auto' }, { type: 'javascript/auto' }],
+    };
+    const runtime = new webpack.RuntimeModule('runtime');
+    const css = { type: 'css/mini-extract' };
+    const compilation = {
+      name: 'modern',
+      modules: new Set([cached, built, concatenated, runtime, css]),
+      builtModules: new Set([built, runtime, css]),
+    };
+
+    expect(
+      summarizeCache({ compilation, startTime: 1000, endTime: 5200 })
+    ).toEqual([{ name: 'modern', cached: 3, total: 4, time: 4200 }]);
+  });
+});
+
+describe('formatCacheSummary', () => {
+  const format = (cached, total) =>
+    formatCacheSummary({ name: 'modern', cached, total, time: 4200 });
+
+  it('tells hits, partial hits and misses apart', () => {
+    expect(format(815, 815)).toBe(
+      'modern: hit, 815 of 815 modules from cache, 4.2s'
+    );
+    expect(format(812, 815)).toMatch(/^modern: partial hit, 812 of 815/);
+    expect(format(0, 815)).toMatch(/^modern: miss, 0 of 815/);
+  });
+});
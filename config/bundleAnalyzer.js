@@ -0,0 +1,242 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Turns the `bundle-stats.json` written by `build --stats` into a
+// chunks -> packages -> modules tree, and answers why a module is included.
+//
+// Stat sizes come from webpack (module source before minification). Parsed,
+// gzip and brotli sizes are measured on the emitted files and spread over a
+// chunk's modules in proportion to their stat size, so per-module values are
+// estimates while per-chunk values are exact.
+
+const MEASURES = ['stat', 'parsed', 'gzip', 'brotli'];
+const emptySizes = () => ({ stat: 0, parsed: 0, gzip: 0, brotli: 0 });
+
+const addSizes = (total, sizes) =>
+  MEASURES.forEach((measure) => (total[measure] += sizes[measure]));
+
+// The stats of one compilation: the modern one of a differential build's
+// `{ children }`, see `./differentialBuild.js`.
+function selectCompilationStats(stats) {
+  if (!stats.children || stats.modules) return stats;
+  return (
+    stats.children.find((child) => child.name === 'modern') ||
+    stats.children[0]
+  );
+}
+
+// `css ./node_modules/css-loader/...!./src/style.module.css` -> `./src/style.module.css`
+function cleanModuleName(name) {
+  return name.replace(/^css /, '').split('!').pop();
+}
+
+function getPackageName(module) {
+  if (module.moduleType === 'runtime') return '(webpack runtime)';
+
+  const parts = cleanModuleName(module.name).split(/node_modules[\\/]/);
+  if (parts.length < 2) return '(app)';
+
+  const segments = parts[parts.length - 1].split(/[\\/]/);
+  return segments[0].startsWith('@')
+    ? `${segments[0]}/${segments[1]}`
+    : segments[0];
+}
+
+const isCssModule = (module) =>
+  Boolean(module.moduleType && module.moduleType.startsWith('css'));
+
+// Concatenated modules (`./src/index.tsx + 5 modules`) list their parts in
+// `modules`; the parts are what the user wrote, so report those.
+function flattenModules(modules) {
+  return modules.reduce(
+    (flat, module) =>
+      flat.concat(module.modules ? flattenModules(module.modules) : [module]),
+    []
+  );
+}
+
+function measureFiles(buildFolder, files) {
+  const sizes = emptySizes();
+
+  files.forEach((file) => {
+    const filePath = path.join(buildFolder, file);
+    if (!fs.existsSync(filePath)) return;
+
+    const contents = fs.readFileSync(filePath);
+    sizes.parsed += contents.length;
+    sizes.gzip += zlib.gzipSync(contents, { level: 9 }).length;
+    sizes.brotli += zlib.brotliCompressSync(contents).length;
+  });
+  return sizes;
+}
+
+// Give each module its share of the measured file sizes.
+function distributeSizes(modules, fileSizes) {
+  const totalStat = modules.reduce((sum, module) => sum + module.size, 0);
+
+  return modules.map((module) => {
+    const share = totalStat ? module.size / totalStat : 0;
+    return {
+      name: cleanModuleName(module.name),
+      package: getPackageName(module),
+      sizes: {
+        stat: module.size,
+        parsed: Math.round(fileSizes.parsed * share),
+        gzip: Math.round(fileSizes.gzip * share),
+        brotli: Math.round(fileSizes.brotli * share),
+      },
+    };
+  });
+}
+
+function groupByPackage(modules) {
+  const packages = new Map();
+
+  modules.forEach((module) => {
+    if (!packages.has(module.package)) {
+      packages.set(module.package, {
+        name: module.package,
+        sizes: emptySizes(),
+        modules: [],
+      });
+    }
+    const group = packages.get(module.package);
+    group.modules.push({ name: module.name, sizes: module.sizes });
+    addSizes(group.sizes, module.sizes);
+  });
+
+  return Array.from(packages.values());
+}
+
+function buildChunkTree(stats, buildFolder) {
+  const chunkModules = stats.modules.filter(
+    (module) => module.chunks && module.chunks.length
+  );
+
+  return stats.chunks.map((chunk) => {
+    const modules = flattenModules(
+      chunkModules.filter((module) => module.chunks.includes(chunk.id))
+    );
+    const files = chunk.files.filter((file) => !file.endsWith('.map'));
+    const jsModules = distributeSizes(
+      modules.filter((module) => !isCssModule(module)),
+      measureFiles(
+        buildFolder,
+        files.filter((file) => file.endsWith('.js'))
+      )
+    );
+    const cssModules = distributeSizes(
+      modules.filter(isCssModule),
+      measureFiles(
+        buildFolder,
+        files.filter((file) => file.endsWith('.css'))
+      )
+    );
+    const packages = groupByPackage(jsModules.concat(cssModules));
+    const sizes = emptySizes();
+    packages.forEach((group) => addSizes(sizes, group.sizes));
+
+    return {
+      id: chunk.id,
+      name: chunk.names.length ? chunk.names.join(', ') : `chunk ${chunk.id}`,
+      initial: chunk.initial,
+      files,
+      sizes,
+      packages,
+    };
+  });
+}
+
+// Module name -> the modules that import it, taken from webpack's `reasons`.
+// Parts of concatenated modules are indexed under their own names.
+function createModuleIndex(stats) {
+  const index = new Map();
+
+  const visit = (module) => {
+    const name = cleanModuleName(module.name);
+    const entry = index.get(name) || { name, isEntry: false, issuers: [] };
+
+    (module.reasons || []).forEach((reason) => {
+      if (reason.type === 'entry') {
+        entry.isEntry = true;
+        return;
+      }
+      const from = reason.resolvedModule || reason.moduleName;
+      if (!from) return;
+      const issuer = cleanModuleName(from);
+      if (
+        issuer !== name &&
+        !entry.issuers.some((existing) => existing.name === issuer)
+      ) {
+        entry.issuers.push({
+          name: issuer,
+          type: reason.type,
+          request: reason.userRequest,
+        });
+      }
+    });
+
+    index.set(name, entry);
+    (module.modules || []).forEach(visit);
+  };
+
+  stats.modules.forEach(visit);
+  return index;
+}
+
+// Shortest import chains from an entry point down to `name`, at most `limit`
+// of them. Each chain starts at the entry and ends at the module itself.
+function findImportChains(index, name, limit = 3) {
+  const target = index.get(name);
+  if (!target) return [];
+
+  const chains = [];
+  const seen = new Set([name]);
+  let queue = [[{ name, type: null, request: null }]];
+
+  while (queue.length && chains.length < limit) {
+    const next = [];
+
+    queue.forEach((chain) => {
+      if (chains.length >= limit) return;
+      const module = index.get(chain[0].name);
+      if (!module || module.isEntry || !module.issuers.length) {
+        chains.push(chain);
+        return;
+      }
+
+      const [current, ...rest] = chain;
+      module.issuers.forEach((issuer) => {
+        if (seen.has(issuer.name)) return;
+        seen.add(issuer.name);
+        next.push([
+          { name: issuer.name, type: null, request: null },
+          // How the issuer imports the module below it.
+          { ...current, type: issuer.type, request: issuer.request },
+          ...rest,
+        ]);
+      });
+    });
+
+    queue = next;
+  }
+  return chains;
+}
+
+// Modules whose name matches `query`: an exact match, else a substring one.
+function findModules(index, query) {
+  if (index.has(query)) return [query];
+  return Array.from(index.keys()).filter((name) => name.includes(query));
+}
+
+module.exports = {
+  MEASURES,
+  selectCompilationStats,
+  buildChunkTree,
+  createModuleIndex,
+  findImportChains,
+  findModules,
+};
@@ -0,0 +1,166 @@
+/** @jest-environment node */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  buildChunkTree,
+  createModuleIndex,
+  findImportChains,
+  findModules,
+  selectCompilationStats,
+} = require('./bundleAnalyzer');
+
+const entryReason = { type: 'entry', moduleName: null };
+const importedBy = (moduleName, userRequest) => ({
+  type: 'harmony import specifier',
+  moduleName,
+  userRequest,
+});
+
+// main.js -> ./src/index.tsx + 1 module (./src/app.tsx) -> react, lodash
+const stats = {
+  chunks: [{ id: 1, names: ['main'], initial: true, files: ['main.js'] }],
+  modules: [
+    {
+      name: './src/index.tsx + 1 modules',
+      size: 600,
+      chunks: [1],
+      reasons: [entryReason],
+      modules: [
+        { name: './src/index.tsx', size: 200, reasons: [entryReason] },
+        {
+          name: './src/app.tsx',
+          size: 400,
+          reasons: [importedBy('./src/index.tsx', './app')],
+        },
+      ],
+    },
+    {
+      name: './node_modules/react/index.js',
+      size: 300,
+      chunks: [1],
+      reasons: [
+        importedBy('./src/index.tsx', 'react'),
+        importedBy('./src/app.tsx', 'react'),
+      ],
+    },
+    {
+      name: './node_modules/@scope/utils/lib/index.js',
+      size: 100,
+      chunks: [1],
+      reasons: [importedBy('./src/app.tsx', '@scope/utils')],
+    },
+  ],
+};
+
+describe('createModuleIndex', () => {
+  const index = createModuleIndex(stats);
+
+  it('indexes the parts of concatenated modules by their own names', () => {
+    expect(index.get('./src/index.tsx').isEntry).toBe(true);
+    expect(index.get('./src/app.tsx').issuers).toEqual([
+      {
+        name: './src/index.tsx',
+        type: 'harmony import specifier',
+        request: './app',
+      },
+    ]);
+  });
+
+  it('finds modules by exact name or substring', () => {
+    expect(findModules(index, './src/app.tsx')).toEqual(['./src/app.tsx']);
+    expect(findModules(index, 'react')).toEqual([
+      './node_modules/react/index.js',
+    ]);
+    expect(findModules(index, 'jquery')).toEqual([]);
+  });
+});
+
+describe('findImportChains', () => {
+  const index = createModuleIndex(stats);
+  const findNames = (name) =>
+    findImportChains(index, name).map((chain) =>
+      chain.map((module) => module.name)
+    );
+
+  it('returns the shortest chains from an entry point first', () => {
+    expect(findNames('./node_modules/react/index.js')).toEqual([
+      ['./src/index.tsx', './node_modules/react/index.js'],
+    ]);
+    expect(findNames('./node_modules/@scope/utils/lib/index.js')).toEqual([
+      [
+        './src/index.tsx',
+        './src/app.tsx',
+        './node_modules/@scope/utils/lib/index.js',
+      ],
+    ]);
+  });
+
+  it('records how each module is imported', () => {
+    const [chain] = findImportChains(index, './src/app.tsx');
+
+    expect(chain).toEqual([
+      { name: './src/index.tsx', type: null, request: null },
+      {
+        name: './src/app.tsx',
+        type: 'harmony import specifier',
+        request: './app',
+      },
+    ]);
+  });
+
+  it('returns nothing for unknown modules', () => {
+    expect(findImportChains(index, './src/missing.tsx')).toEqual([]);
+  });
+});
+
+describe('buildChunkTree', () => {
+  const buildFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'analyzer-'));
+
+  beforeAll(() => {
+    fs.writeFileSync(path.join(buildFolder, 'main.js'), 'x'.repeat(500));
+  });
+
+  afterAll(() => {
+    fs.removeSync(buildFolder);
+  });
+
+  it('groups the modules of a chunk by package', () => {
+    const [chunk] = buildChunkTree(stats, buildFolder);
+
+    expect(chunk).toMatchObject({ id: 1, name: 'main', files: ['main.js'] });
+    expect(chunk.sizes).toMatchObject({ stat: 1000, parsed: 500 });
+    expect(
+      chunk.packages.map(({ name, modules }) => [name, modules.length])
+    ).toEqual([
+      ['(app)', 2],
+      ['react', 1],
+      ['@scope/utils', 1],
+    ]);
+  });
+
+  it('spreads the emitted size over the modules by their stat size', () => {
+    const [chunk] = buildChunkTree(stats, buildFolder);
+    const app = chunk.packages[0].modules.find(
+      (module) => module.name === './src/app.tsx'
+    );
+
+    expect(app.sizes).toMatchObject({ stat: 400, parsed: 200 });
+  });
+});
+
+describe('selectCompilationStats', () => {
+  it('picks the modern compilation of a differential build', () => {
+    const legacy = { name: 'legacy', modules: [] };
+    const modern = { name: 'modern', modules: [] };
+
+    expect(selectCompilationStats({ children: [legacy, modern] })).toBe(modern);
+    expect(selectCompilationStats({ children: [legacy] })).toBe(legacy);
+  });
+
+  it('keeps the stats of a single compilation', () => {
+    expect(selectCompilationStats(stats)).toBe(stats);
+  });
+});
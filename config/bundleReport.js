@@ -0,0 +1,340 @@
+'use strict';
+
+// Renders the self-contained HTML bundle report. Everything (data, styles and
+// the treemap script) is inlined so the file opens without a network.
+
+// Keep `</script>` and friends in module names from closing the data block.
+const serialize = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+const styles = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #222; display: flex; flex-direction: column; height: 100vh; }
+  header { display: flex; gap: 1rem; align-items: center; padding: 0.5rem 1rem; border-bottom: 1px solid #ddd; }
+  header h1 { font-size: 1rem; margin: 0 auto 0 0; }
+  main { flex: 1; display: flex; min-height: 0; }
+  #map { flex: 1; position: relative; overflow: hidden; }
+  aside { width: 340px; overflow: auto; padding: 0.5rem 1rem; border-left: 1px solid #ddd; }
+  .node { position: absolute; overflow: hidden; border: 1px solid rgba(0, 0, 0, 0.25); font-size: 11px; padding: 1px 3px; white-space: nowrap; text-overflow: ellipsis; cursor: pointer; }
+  .node.chunk { background: #f4f4f4; font-weight: bold; }
+  .node.package { font-weight: bold; }
+  .node.module:hover { filter: brightness(0.9); }
+  .node.match { outline: 2px solid #d00; outline-offset: -2px; z-index: 1; }
+  .dim .node.module:not(.match) { opacity: 0.35; }
+  table { border-collapse: collapse; width: 100%; }
+  td { padding: 2px 4px; border-bottom: 1px solid #eee; vertical-align: top; }
+  td:last-child { text-align: right; white-space: nowrap; }
+  code { word-break: break-all; }
+  ol.chain { padding-left: 1.2rem; }
+  ol.chain small { color: #777; }
+  #tooltip { position: fixed; pointer-events: none; background: #222; color: #fff; padding: 4px 8px; border-radius: 3px; font-size: 12px; display: none; max-width: 420px; z-index: 2; }
+`;
+
+// Runs in the browser. Lays out chunks -> packages -> modules with the
+// squarified treemap algorithm (Bruls, Huizing, van Wijk).
+function clientScript() {
+  /* global document, window */
+  const report = window.__BUNDLE_REPORT__;
+  const map = document.getElementById('map');
+  const aside = document.getElementById('details');
+  const tooltip = document.getElementById('tooltip');
+  const measureSelect = document.getElementById('measure');
+  const search = document.getElementById('search');
+  const HEADER = 16;
+  const PADDING = 2;
+
+  const formatSize = (bytes) =>
+    bytes >= 1024 ? (bytes / 1024).toFixed(2) + ' KB' : bytes + ' B';
+
+  const escapeHtml = (text) =>
+    String(text).replace(
+      /[&<>"]/g,
+      (char) =>
+        ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char])
+    );
+
+  const colorFor = (name) => {
+    let hash = 0;
+    for (let i = 0; i < name.length; i++) {
+      hash = (hash * 31 + name.charCodeAt(i)) | 0;
+    }
+    return 'hsl(' + (Math.abs(hash) % 360) + ', 55%, 78%)';
+  };
+
+  function worst(row, side) {
+    const sum = row.reduce((total, item) => total + item.area, 0);
+    return row.reduce((max, item) => {
+      const ratio = Math.max(
+        (side * side * item.area) / (sum * sum),
+        (sum * sum) / (side * side * item.area)
+      );
+      return Math.max(max, ratio);
+    }, 0);
+  }
+
+  function squarify(items, rect) {
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    if (!total || rect.w <= 0 || rect.h <= 0) return [];
+
+    const scale = (rect.w * rect.h) / total;
+    let { x, y, w, h } = rect;
+    const queue = items
+      .filter((item) => item.value > 0)
+      .sort((a, b) => b.value - a.value)
+      .map((item) => ({ item, area: item.value * scale }));
+    const placed = [];
+    let row = [];
+
+    const layoutRow = () => {
+      const rowArea = row.reduce((sum, cell) => sum + cell.area, 0);
+      if (w >= h) {
+        const width = rowArea / h;
+        let offset = y;
+        row.forEach((cell) => {
+          const height = cell.area / width;
+          placed.push({ item: cell.item, x, y: offset, w: width, h: height });
+          offset += height;
+        });
+        x += width;
+        w -= width;
+      } else {
+        const height = rowArea / w;
+        let offset = x;
+        row.forEach((cell) => {
+          const width = cell.area / height;
+          placed.push({ item: cell.item, x: offset, y, w: width, h: height });
+          offset += width;
+        });
+        y += height;
+        h -= height;
+      }
+      row = [];
+    };
+
+    while (queue.length) {
+      const side = Math.min(w, h);
+      const grows =
+        row.length && worst(row.concat(queue[0]), side) > worst(row, side);
+      if (!grows) {
+        row.push(queue.shift());
+      } else {
+        layoutRow();
+      }
+    }
+    if (row.length) layoutRow();
+    return placed;
+  }
+
+  function addNode(kind, label, box, color, onClick) {
+    const node = document.createElement('div');
+    node.className = 'node ' + kind;
+    node.style.left = box.x + 'px';
+    node.style.top = box.y + 'px';
+    node.style.width = Math.max(box.w, 0) + 'px';
+    node.style.height = Math.max(box.h, 0) + 'px';
+    if (color) node.style.background = color;
+    if (box.w > 30 && box.h > 12) node.textContent = label;
+    node.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+    map.appendChild(node);
+    return node;
+  }
+
+  const inner = (box) => ({
+    x: box.x + PADDING,
+    y: box.y + HEADER,
+    w: box.w - PADDING * 2,
+    h: box.h - HEADER - PADDING,
+  });
+
+  function sizesTable(sizes) {
+    return (
+      '<table>' +
+      report.measures
+        .map(
+          (measure) =>
+            '<tr><td>' +
+            measure +
+            '</td><td>' +
+            formatSize(sizes[measure]) +
+            '</td></tr>'
+        )
+        .join('') +
+      '</table>'
+    );
+  }
+
+  function showChunk(chunk) {
+    aside.innerHTML =
+      '<h3>' +
+      escapeHtml(chunk.name) +
+      '</h3>' +
+      sizesTable(chunk.sizes) +
+      '<p>' +
+      chunk.files
+        .map((file) => '<code>' + escapeHtml(file) + '</code>')
+        .join('<br>') +
+      '</p>';
+  }
+
+  function showPackage(pkg) {
+    aside.innerHTML =
+      '<h3>' +
+      escapeHtml(pkg.name) +
+      '</h3>' +
+      sizesTable(pkg.sizes) +
+      '<p>' +
+      pkg.modules.length +
+      ' module(s)</p>';
+  }
+
+  function showModule(module) {
+    const chains = report.why[module.name] || [];
+    aside.innerHTML =
+      '<h3><code>' +
+      escapeHtml(module.name) +
+      '</code></h3>' +
+      sizesTable(module.sizes) +
+      '<h4>Why is this included?</h4>' +
+      (chains.length
+        ? chains
+            .map(
+              (chain) =>
+                '<ol class="chain">' +
+                chain
+                  .map(
+                    (step) =>
+                      '<li><code>' +
+                      escapeHtml(step.name) +
+                      '</code>' +
+                      (step.type
+                        ? ' <small>' +
+                          escapeHtml(step.type) +
+                          (step.request
+                            ? ' "' + escapeHtml(step.request) + '"'
+                            : '') +
+                          '</small>'
+                        : '') +
+                      '</li>'
+                  )
+                  .join('') +
+                '</ol>'
+            )
+            .join('')
+        : '<p>No import chain recorded.</p>');
+  }
+
+  function showTooltip(event, text) {
+    tooltip.textContent = text;
+    tooltip.style.display = 'block';
+    tooltip.style.left = event.clientX + 12 + 'px';
+    tooltip.style.top = event.clientY + 12 + 'px';
+  }
+
+  function render() {
+    const measure = measureSelect.value;
+    const query = search.value.trim().toLowerCase();
+    map.innerHTML = '';
+    map.classList.toggle('dim', Boolean(query));
+    let matches = 0;
+
+    const chunks = report.chunks.map((chunk) => ({
+      value: chunk.sizes[measure],
+      chunk,
+    }));
+    squarify(chunks, { x: 0, y: 0, w: map.clientWidth, h: map.clientHeight })
+      .forEach((chunkBox) => {
+        const { chunk } = chunkBox.item;
+        const label =
+          chunk.name + ' (' + formatSize(chunk.sizes[measure]) + ')';
+        addNode('chunk', label, chunkBox, null, () => showChunk(chunk));
+
+        const packages = chunk.packages.map((pkg) => ({
+          value: pkg.sizes[measure],
+          pkg,
+        }));
+        squarify(packages, inner(chunkBox)).forEach((packageBox) => {
+          const { pkg } = packageBox.item;
+          const color = colorFor(pkg.name);
+          addNode('package', pkg.name, packageBox, color, () =>
+            showPackage(pkg)
+          );
+
+          const modules = pkg.modules.map((module) => ({
+            value: module.sizes[measure],
+            module,
+          }));
+          squarify(modules, inner(packageBox)).forEach((moduleBox) => {
+            const { module } = moduleBox.item;
+            const label = module.name.split('/').pop();
+            const node = addNode('module', label, moduleBox, color, () =>
+              showModule(module)
+            );
+            if (query && module.name.toLowerCase().includes(query)) {
+              node.classList.add('match');
+              matches++;
+            }
+            node.addEventListener('mousemove', (event) =>
+              showTooltip(
+                event,
+                module.name + ' - ' + formatSize(module.sizes[measure])
+              )
+            );
+            node.addEventListener('mouseleave', () => {
+              tooltip.style.display = 'none';
+            });
+          });
+        });
+      });
+
+    if (query) {
+      aside.innerHTML =
+        '<p>' +
+        matches +
+        ' module(s) match "' +
+        escapeHtml(query) +
+        '".</p>';
+    }
+  }
+
+  measureSelect.addEventListener('change', render);
+  search.addEventListener('input', render);
+  window.addEventListener('resize', render);
+  render();
+}
+
+function renderBundleReport(data) {
+  const options = data.measures
+    .map((measure) => `<option value="${measure}">${measure}</option>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>Bundle report - ${data.name}</title>
+    <style>${styles}</style>
+  </head>
+  <body>
+    <header>
+      <h1>Bundle report - ${data.name} <small>(${data.builtAt})</small></h1>
+      <label>Size <select id="measure">${options}</select></label>
+      <input id="search" type="search" placeholder="Search modules" />
+    </header>
+    <main>
+      <div id="map"></div>
+      <aside id="details">
+        <p>Click a chunk, package or module for details. Module sizes other
+        than "stat" are estimated from their share of the chunk.</p>
+      </aside>
+    </main>
+    <div id="tooltip"></div>
+    <script>window.__BUNDLE_REPORT__ = ${serialize(data)};</script>
+    <script>(${clientScript.toString()})();</script>
+  </body>
+</html>
+`;
+}
+
+module.exports = renderBundleReport;
@@ -8,6 +8,16 @@ const ignoredFiles = require('react-dev-utils/ignoredFiles');
 const redirectServedPath = require('react-dev-utils/redirectServedPathMiddleware');
 const paths = require('./paths');
 const getHttpsConfig = require('./getHttpsConfig');
+const { localCaMiddleware } = require('./localCertificate');
+const { getPages, getHistoryRewrites, getFallbackPage } = require('./pages');
+const {
+  isRuntimeConfigEnabled,
+  runtimeConfigMiddleware,
+} = require('./runtimeConfig');
+const { getAppEnvironment } = require('./env');
+const { getMockApiMode, createMockApiMiddleware } = require('./mockApi');
+const { errorCollectorMiddleware } = require('./errorCollector');
+const { vitalsCollectorMiddleware } = require('./vitalsCollector');
 
 const host = process.env.HOST || '0.0.0.0';
 const sockHost = process.env.WDS_SOCKET_HOST;
@@ -15,6 +25,9 @@ const sockPath = process.env.WDS_SOCKET_PATH; // default: '/sockjs-node'
 const sockPort = process.env.WDS_SOCKET_PORT;
 
 module.exports = function (proxy, allowedHost) {
+  const pages = getPages();
+  const https = getHttpsConfig(allowedHost);
+
   return {
     // WebpackDevServer 2.4.3 introduced a security fix that prevents remote
     // websites from potentially accessing local content through DNS rebinding:
@@ -84,14 +97,16 @@ module.exports = function (proxy, allowedHost) {
     // src/node_modules is not ignored to support absolute imports
     // https://github.com/facebook/create-react-app/issues/1065
     watchOptions: { ignored: ignoredFiles(paths.appSrc) },
-    https: getHttpsConfig(),
+    https,
     host,
     overlay: true,
     historyApiFallback: {
       // Paths with dots should still use the history fallback.
       // See https://github.com/facebook/create-react-app/issues/387.
       disableDotRule: true,
-      index: paths.publicUrlOrPath,
+      // Each page serves the URLs under its prefix, see `./pages.js`.
+      index: paths.publicUrlOrPath + getFallbackPage(pages).filename,
+      rewrites: getHistoryRewrites(pages, paths.publicUrlOrPath),
     },
     public: allowedHost,
     // `proxy` is run between `before` and `after` `webpack-dev-server` hooks
@@ -103,6 +118,23 @@ module.exports = function (proxy, allowedHost) {
       app.use(evalSourceMapMiddleware(server));
       // This lets us open files from the runtime error overlay.
       app.use(errorOverlayMiddleware());
+      // Generates `env-config.js` from the current environment.
+      if (isRuntimeConfigEnabled()) {
+        app.use(runtimeConfigMiddleware(getAppEnvironment));
+      }
+      // Serves the local CA for HTTPS so phones can install it.
+      if (https && https.ca) {
+        app.use(localCaMiddleware());
+      }
+      // Prints the error reports of the app, see `./errorCollector.js`.
+      app.use(errorCollectorMiddleware());
+      // Collects Web Vitals, see `./vitalsCollector.js`.
+      app.use(vitalsCollectorMiddleware());
+      // Mocks, records or replays API responses, see `./mockApi.js`.
+      const mockApiMode = getMockApiMode();
+      if (mockApiMode) {
+        app.use(createMockApiMiddleware(mockApiMode));
+      }
 
       if (fs.existsSync(paths.proxySetup)) {
         // This registers user provided middleware for proxy reasons
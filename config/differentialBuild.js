@@ -0,0 +1,151 @@
+'use strict';
+
+const path = require('path');
+const { SubresourceIntegrityPlugin } = require('./subresourceIntegrity');
+const { AssetPipelinePlugin } = require('./assetPipeline');
+
+// Differential build: `scripts/build.js` compiles the app twice.
+//
+// - The legacy compilation targets the `production` browserslist query, as a
+//   single build does. Its scripts are named `*.legacy.*` and it writes no
+//   HTML; `LegacyBuildPlugin` records its files.
+// - The modern compilation targets browsers with `<script type="module">`
+//   support (ES2017 and up), so it ships far less transpiled code. It writes
+//   the HTML, where `ModuleScriptsPlugin` marks its scripts `type="module"` and
+//   adds the legacy ones as `nomodule`: every browser runs one set only. The
+//   asset manifest lists both.
+//
+// DIFFERENTIAL_BUILD=false makes a single build for the browserslist query.
+
+const PLUGIN_NAME = 'DifferentialBuild';
+
+const isDifferentialBuild = () => process.env.DIFFERENTIAL_BUILD !== 'false';
+
+// Records the files of the legacy compilation for the modern one.
+class LegacyBuildPlugin {
+  constructor() {
+    // Page -> its initial scripts, in order.
+    this.entrypoints = {};
+    // Manifest name (e.g. `main.legacy.js`) -> file.
+    this.files = {};
+    this.integrity = {};
+    this.compressed = {};
+  }
+
+  apply(compiler) {
+    compiler.hooks.done.tap(PLUGIN_NAME, (stats) => {
+      const { entrypoints, assets } = stats.toJson({
+        all: false,
+        entrypoints: true,
+        assets: true,
+      });
+      const isScript = (file) => /\.js$/.test(file);
+
+      this.entrypoints = Object.keys(entrypoints).reduce((result, name) => {
+        result[name] = entrypoints[name].assets
+          .map((asset) => asset.name)
+          .filter(isScript);
+        return result;
+      }, {});
+
+      this.files = assets
+        .filter(({ name }) => /\.js(\.map)?$/.test(name))
+        .reduce((result, { name, chunkNames }) => {
+          const key = chunkNames.length
+            ? `${chunkNames[0]}.legacy${name.slice(name.indexOf('.js'))}`
+            : name;
+          result[key] = name;
+          return result;
+        }, {});
+
+      const plugins = compiler.options.plugins;
+      const integrity = plugins.find(
+        (plugin) => plugin instanceof SubresourceIntegrityPlugin
+      );
+      const pipeline = plugins.find(
+        (plugin) => plugin instanceof AssetPipelinePlugin
+      );
+      this.integrity = integrity ? integrity.getIntegrity() : {};
+      this.compressed = pipeline ? pipeline.getCompressedSizes() : {};
+    });
+  }
+}
+
+// Turns the scripts of the modern compilation into module scripts and adds
+// the legacy ones of the page after them.
+class ModuleScriptsPlugin {
+  constructor(htmlWebpackPlugin, legacyBuild) {
+    this.htmlWebpackPlugin = htmlWebpackPlugin;
+    this.legacyBuild = legacyBuild;
+  }
+
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      const { publicPath } = compilation.outputOptions;
+
+      this.htmlWebpackPlugin
+        .getHooks(compilation)
+        .alterAssetTagGroups.tap(PLUGIN_NAME, (data) => {
+          // The chunks of this compilation, injected or inlined (inlined
+          // tags lose their `meta`), not scripts added by other plugins such
+          // as env-config.js, which legacy browsers need too.
+          const isOwnScript = (tag) =>
+            tag.tagName === 'script' &&
+            (!tag.meta || tag.meta.plugin === 'html-webpack-plugin');
+          const groups = [data.headTags, data.bodyTags];
+          const group = groups.find((tags) => tags.some(isOwnScript));
+          if (!group) return data;
+
+          groups.forEach((tags) =>
+            tags.filter(isOwnScript).forEach((tag) => {
+              tag.attributes = { ...tag.attributes, type: 'module' };
+            })
+          );
+
+          const [page] = data.plugin.options.chunks;
+          const legacyScripts = (this.legacyBuild.entrypoints[page] || []).map(
+            (file) => {
+              const integrity = this.legacyBuild.integrity[file];
+              return {
+                tagName: 'script',
+                voidTag: false,
+                meta: { plugin: PLUGIN_NAME },
+                attributes: {
+                  defer: true,
+                  nomodule: true,
+                  src: publicPath + file,
+                  ...(integrity && { integrity, crossorigin: 'anonymous' }),
+                },
+              };
+            }
+          );
+          const last = group.map(isOwnScript).lastIndexOf(true);
+          group.splice(last + 1, 0, ...legacyScripts);
+          return data;
+        });
+    });
+  }
+}
+
+// The legacy files for `asset-manifest.json`, keyed like the modern ones.
+function getLegacyManifest(legacyBuild, { includeMaps }) {
+  const files = Object.keys(legacyBuild.files)
+    .filter((name) => includeMaps || path.extname(name) !== '.map')
+    .reduce((result, name) => {
+      result[name] = legacyBuild.files[name];
+      return result;
+    }, {});
+  return {
+    files,
+    entrypoints: legacyBuild.entrypoints,
+    integrity: legacyBuild.integrity,
+    compressed: legacyBuild.compressed,
+  };
+}
+
+module.exports = {
+  isDifferentialBuild,
+  LegacyBuildPlugin,
+  ModuleScriptsPlugin,
+  getLegacyManifest,
+};
@@ -0,0 +1,134 @@
+/** @jest-environment node */
+'use strict';
+
+const {
+  LegacyBuildPlugin,
+  ModuleScriptsPlugin,
+  getLegacyManifest,
+} = require('./differentialBuild');
+
+// Runs `plugin` against the hooks it taps, returning their callbacks.
+function applyPlugin(plugin, { stats, plugins = [] } = {}) {
+  const taps = {};
+  const hook = (name) => ({
+    tap: (pluginName, callback) => (taps[name] = callback),
+  });
+  plugin.apply({
+    options: { plugins },
+    hooks: {
+      done: hook('done'),
+      thisCompilation: {
+        tap: (pluginName, callback) =>
+          callback({ outputOptions: { publicPath: '/' } }),
+      },
+    },
+  });
+  if (stats) taps.done(stats);
+  return taps;
+}
+
+const legacyStats = {
+  toJson: () => ({
+    entrypoints: {
+      main: {
+        assets: [
+          { name: 'static/js/runtime-main.1a2b.legacy.js' },
+          { name: 'static/js/main.3c4d.legacy.js' },
+          { name: 'static/css/main.5e6f.css' },
+        ],
+      },
+    },
+    assets: [
+      { name: 'static/js/main.3c4d.legacy.js', chunkNames: ['main'] },
+      { name: 'static/js/main.3c4d.legacy.js.map', chunkNames: ['main'] },
+      { name: 'static/js/7.9a8b.legacy.chunk.js', chunkNames: [] },
+      { name: 'static/css/main.5e6f.css', chunkNames: ['main'] },
+    ],
+  }),
+};
+
+describe('LegacyBuildPlugin', () => {
+  it('records the scripts of the legacy compilation', () => {
+    const legacyBuild = new LegacyBuildPlugin();
+    applyPlugin(legacyBuild, { stats: legacyStats });
+
+    expect(legacyBuild.entrypoints).toEqual({
+      main: [
+        'static/js/runtime-main.1a2b.legacy.js',
+        'static/js/main.3c4d.legacy.js',
+      ],
+    });
+    expect(legacyBuild.files).toEqual({
+      'main.legacy.js': 'static/js/main.3c4d.legacy.js',
+      'main.legacy.js.map': 'static/js/main.3c4d.legacy.js.map',
+      'static/js/7.9a8b.legacy.chunk.js': 'static/js/7.9a8b.legacy.chunk.js',
+    });
+  });
+
+  it('lists the legacy files for the asset manifest', () => {
+    const legacyBuild = new LegacyBuildPlugin();
+    applyPlugin(legacyBuild, { stats: legacyStats });
+
+    const names = (includeMaps) =>
+      Object.keys(getLegacyManifest(legacyBuild, { includeMaps }).files);
+
+    expect(names(false)).toEqual([
+      'main.legacy.js',
+      'static/js/7.9a8b.legacy.chunk.js',
+    ]);
+    expect(names(true)).toContain('main.legacy.js.map');
+  });
+});
+
+describe('ModuleScriptsPlugin', () => {
+  const script = (src, meta = { plugin: 'html-webpack-plugin' }) => ({
+    tagName: 'script',
+    voidTag: false,
+    meta,
+    attributes: { defer: true, src },
+  });
+
+  function alterTags(legacyBuild) {
+    let alterAssetTagGroups;
+    const htmlWebpackPlugin = {
+      getHooks: () => ({
+        alterAssetTagGroups: {
+          tap: (name, callback) => (alterAssetTagGroups = callback),
+        },
+      }),
+    };
+    applyPlugin(new ModuleScriptsPlugin(htmlWebpackPlugin, legacyBuild));
+
+    return alterAssetTagGroups({
+      plugin: { options: { chunks: ['main'] } },
+      headTags: [
+        script('/env-config.js', { plugin: 'RuntimeConfigPlugin' }),
+        script('/static/js/runtime-main.js'),
+        script('/static/js/main.js'),
+        { tagName: 'link', attributes: { href: '/static/css/main.css' } },
+      ],
+      bodyTags: [],
+    });
+  }
+
+  it('adds the legacy scripts as nomodule after the module scripts', () => {
+    const { headTags } = alterTags({
+      entrypoints: { main: ['static/js/main.legacy.js'] },
+      integrity: { 'static/js/main.legacy.js': 'sha384-abc' },
+    });
+
+    expect(headTags.map((tag) => tag.attributes)).toEqual([
+      { defer: true, src: '/env-config.js' },
+      { defer: true, src: '/static/js/runtime-main.js', type: 'module' },
+      { defer: true, src: '/static/js/main.js', type: 'module' },
+      {
+        defer: true,
+        nomodule: true,
+        src: '/static/js/main.legacy.js',
+        integrity: 'sha384-abc',
+        crossorigin: 'anonymous',
+      },
+      { href: '/static/css/main.css' },
+    ]);
+  });
+});
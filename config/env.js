@@ -14,8 +14,24 @@ if (!NODE_ENV) {
   );
 }
 
+// The named mode of the app, e.g. `staging` with `build --mode staging`. It
+// adds its .env files and picks the `modes` overrides of boilerplate.config.js;
+// NODE_ENV stays `production` for every mode `build` makes.
+const APP_MODE =
+  process.env.APP_MODE !== undefined ? process.env.APP_MODE : NODE_ENV;
+if (!/^\w[\w-]*$/.test(APP_MODE)) {
+  throw new Error(
+    `Invalid mode "${APP_MODE}", use a name such as "staging" or "qa".`
+  );
+}
+process.env.APP_MODE = APP_MODE;
+
 // https://github.com/bkeepers/dotenv#what-other-env-files-can-i-use
+// The first file to set a variable wins: a named mode's files come before,
+// and so override, the NODE_ENV ones it builds on.
 const dotenvFiles = [
+  APP_MODE !== NODE_ENV && `${paths.dotenv}.${APP_MODE}.local`,
+  APP_MODE !== NODE_ENV && `${paths.dotenv}.${APP_MODE}`,
   `${paths.dotenv}.${NODE_ENV}.local`,
   // Don't include `.env.local` for `test` environment
   // since normally you expect tests to produce the same
@@ -58,40 +74,76 @@ process.env.NODE_PATH = (process.env.NODE_PATH || '')
 
 // Grab NODE_ENV and REACT_APP_* environment variables and prepare them to be
 // injected into the application via DefinePlugin in webpack configuration.
+// With an `env.schema.js`, the variables it declares for the client are
+// included too, converted to their type (see `./envSchema.js`).
+// `extraEnv` comes from the `env` field of `boilerplate.config.js`. It can't
+// replace the built-in keys below, and a variable set in the shell or a .env
+// file wins over it.
 const REACT_APP = /^REACT_APP_/i;
 
-function getClientEnvironment(publicUrl) {
-  const raw = Object.keys(process.env)
+function getAppEnvironment() {
+  // Required here rather than on top, so it reads paths.js after .env files.
+  const { loadEnvSchema, getClientValues } = require('./envSchema');
+  const schema = loadEnvSchema();
+  if (schema) return getClientValues(schema);
+
+  return Object.keys(process.env)
     .filter((key) => REACT_APP.test(key))
-    .reduce(
-      (env, key) => {
-        env[key] = process.env[key];
-        return env;
-      },
-      {
-        // Useful for determining whether we’re running in production mode.
-        // Most importantly, it switches React into the correct mode.
-        NODE_ENV: process.env.NODE_ENV || 'development',
-        // Useful for resolving the correct path to static assets in `public`.
-        // For example, <img src={process.env.PUBLIC_URL + '/img/logo.png'} />.
-        // This should only be used as an escape hatch. Normally you would put
-        // images into the `src` and `import` them in code to get their paths.
-        PUBLIC_URL: publicUrl,
-        // We support configuring the sockjs pathname during development.
-        // These settings let a developer run multiple simultaneous projects.
-        // They are used as the connection `hostname`, `pathname` and `port`
-        // in webpackHotDevClient. They are used as the `sockHost`, `sockPath`
-        // and `sockPort` options in webpack-dev-server.
-        WDS_SOCKET_HOST: process.env.WDS_SOCKET_HOST,
-        WDS_SOCKET_PATH: process.env.WDS_SOCKET_PATH,
-        WDS_SOCKET_PORT: process.env.WDS_SOCKET_PORT,
-        // Whether or not react-refresh is enabled.
-        // react-refresh is not 100% stable at this time,
-        // which is why it's disabled by default.
-        // It is defined here so it is available in the webpackHotDevClient.
-        FAST_REFRESH: process.env.FAST_REFRESH === 'true',
-      }
-    );
+    .reduce((env, key) => {
+      env[key] = process.env[key];
+      return env;
+    }, {});
+}
+
+function getClientEnvironment(publicUrl, extraEnv = {}) {
+  const raw = {
+    ...extraEnv,
+    ...getAppEnvironment(),
+    // Useful for determining whether we’re running in production mode.
+    // Most importantly, it switches React into the correct mode.
+    NODE_ENV: process.env.NODE_ENV || 'development',
+    // The named mode, e.g. `staging`; the same as NODE_ENV unless `--mode`
+    // was given.
+    APP_MODE: process.env.APP_MODE,
+    // Useful for resolving the correct path to static assets in `public`.
+    // For example, <img src={process.env.PUBLIC_URL + '/img/logo.png'} />.
+    // This should only be used as an escape hatch. Normally you would put
+    // images into the `src` and `import` them in code to get their paths.
+    PUBLIC_URL: publicUrl,
+    // Version of the build, reported by the service worker so the page
+    // can tell which build it is talking to. Defaults to the "version"
+    // field of package.json.
+    APP_VERSION:
+      process.env.APP_VERSION || require(paths.appPackageJson).version,
+    // Where `src/errorReporting.ts` sends error reports. In development it
+    // defaults to the dev server, which prints them (see
+    // `./errorCollector.js`); otherwise reporting is off unless it's set.
+    ERROR_REPORTING_URL:
+      process.env.ERROR_REPORTING_URL ||
+      (process.env.NODE_ENV === 'development' ? '/__errors' : ''),
+    // Where `src/performance.ts` sends the Web Vitals of each page view, e.g.
+    // /__vitals for the local collector (see `./vitalsCollector.js`).
+    PERFORMANCE_REPORTING_URL: process.env.PERFORMANCE_REPORTING_URL || '',
+    // Whether to show the live Web Vitals over the page, in development only
+    // and unless PERFORMANCE_OVERLAY=false.
+    PERFORMANCE_OVERLAY: String(
+      process.env.NODE_ENV === 'development' &&
+        process.env.PERFORMANCE_OVERLAY !== 'false'
+    ),
+    // We support configuring the sockjs pathname during development.
+    // These settings let a developer run multiple simultaneous projects.
+    // They are used as the connection `hostname`, `pathname` and `port`
+    // in webpackHotDevClient. They are used as the `sockHost`, `sockPath`
+    // and `sockPort` options in webpack-dev-server.
+    WDS_SOCKET_HOST: process.env.WDS_SOCKET_HOST,
+    WDS_SOCKET_PATH: process.env.WDS_SOCKET_PATH,
+    WDS_SOCKET_PORT: process.env.WDS_SOCKET_PORT,
+    // Whether or not react-refresh is enabled.
+    // react-refresh is not 100% stable at this time,
+    // which is why it's disabled by default.
+    // It is defined here so it is available in the webpackHotDevClient.
+    FAST_REFRESH: process.env.FAST_REFRESH === 'true',
+  };
   // Stringify all values so we can feed into webpack DefinePlugin
   const stringified = {
     'process.env': Object.keys(raw).reduce((env, key) => {
@@ -104,3 +156,5 @@ function getClientEnvironment(publicUrl) {
 }
 
 module.exports = getClientEnvironment;
+module.exports.getAppEnvironment = getAppEnvironment;
+module.exports.dotenvFiles = dotenvFiles;
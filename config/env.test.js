@@ -0,0 +1,81 @@
+/** @jest-environment node */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'env-'));
+const mockPaths = {
+  dotenv: path.join(dir, '.env'),
+  appEnvSchema: path.join(dir, 'env.schema.js'),
+};
+
+jest.mock('./paths', () => mockPaths);
+
+// env.js reads and sets process.env as it loads.
+function loadEnv(env) {
+  Object.assign(process.env, env);
+  let getClientEnvironment;
+  jest.isolateModules(() => {
+    getClientEnvironment = require('./env');
+  });
+  return getClientEnvironment;
+}
+
+const originalEnv = process.env;
+
+beforeEach(() => {
+  process.env = { ...originalEnv, APP_VERSION: '1.0.0' };
+  delete process.env.APP_MODE;
+});
+
+afterEach(() => {
+  process.env = originalEnv;
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true });
+});
+
+describe('env', () => {
+  it('uses NODE_ENV as the mode by default', () => {
+    const { dotenvFiles } = loadEnv({ NODE_ENV: 'production' });
+    expect(process.env.APP_MODE).toBe('production');
+    expect(dotenvFiles).toEqual([
+      `${mockPaths.dotenv}.production.local`,
+      `${mockPaths.dotenv}.local`,
+      `${mockPaths.dotenv}.production`,
+      mockPaths.dotenv,
+    ]);
+  });
+
+  it('loads the files of a named mode over the NODE_ENV ones', () => {
+    fs.writeFileSync(`${mockPaths.dotenv}.staging.local`, 'A=local');
+    fs.writeFileSync(`${mockPaths.dotenv}.staging`, 'A=staging\nB=staging');
+    fs.writeFileSync(`${mockPaths.dotenv}.production`, 'B=prod\nC=prod');
+
+    const getClientEnvironment = loadEnv({
+      NODE_ENV: 'production',
+      APP_MODE: 'staging',
+    });
+    expect(process.env).toMatchObject({
+      A: 'local',
+      B: 'staging',
+      C: 'prod',
+    });
+    expect(getClientEnvironment('/').raw).toMatchObject({
+      NODE_ENV: 'production',
+      APP_MODE: 'staging',
+    });
+  });
+
+  it('rejects an invalid mode name', () => {
+    expect(() => loadEnv({ NODE_ENV: 'production', APP_MODE: '' })).toThrow(
+      'Invalid mode ""'
+    );
+    expect(() =>
+      loadEnv({ NODE_ENV: 'production', APP_MODE: '../prod' })
+    ).toThrow('Invalid mode "../prod"');
+  });
+});
@@ -0,0 +1,288 @@
+'use strict';
+
+const fs = require('fs');
+const chalk = require('react-dev-utils/chalk');
+const paths = require('./paths');
+const writeIfChanged = require('./writeIfChanged');
+const { error, warn, print } = require('./logger').child('env');
+
+// Optional `env.schema.js` in the app root declaring the env variables:
+//
+//   module.exports = {
+//     REACT_APP_API_URL: { type: 'url', required: true },
+//     REACT_APP_RETRIES: { type: 'number', default: 3 },
+//     REACT_APP_THEME: { type: 'enum', values: ['light', 'dark'] },
+//     SENTRY_AUTH_TOKEN: { type: 'string', required: true },
+//   };
+//
+// - type: string (default), number, boolean, url or enum (with `values`)
+// - required: fail when the variable is unset and has no default
+// - default: used when the variable is unset
+// - client: whether it is embedded in the bundle. Defaults to true for
+//   REACT_APP_ variables and false for the others.
+//
+// `start` and `build` refuse to run on an invalid environment, and write
+// `src/env.generated.ts`. It types the client variables on `process.env`,
+// where they are strings like any env variable, and exports them as `env`
+// with numbers and booleans converted:
+//
+//   fetch(`${process.env.REACT_APP_API_URL}/users`);
+//
+//   import { env } from 'src/env.generated';
+//   retry(request, env.REACT_APP_RETRIES);
+//
+// A misspelled name doesn't compile on `env`, unlike on `process.env`.
+// REACT_APP_ variables missing from the schema still reach the client, but
+// are reported as likely typos.
+
+const TYPES = ['string', 'number', 'boolean', 'url', 'enum'];
+const BOOLEANS = { true: true, false: false, 1: true, 0: false };
+const REACT_APP = /^REACT_APP_/i;
+
+const isClient = (name, definition) =>
+  definition.client !== undefined
+    ? Boolean(definition.client)
+    : REACT_APP.test(name);
+
+function loadEnvSchema() {
+  if (!fs.existsSync(paths.appEnvSchema)) return null;
+
+  const schema = require(paths.appEnvSchema);
+  Object.keys(schema).forEach((name) => {
+    const { type = 'string', values } = schema[name];
+    if (!TYPES.includes(type)) {
+      throw new Error(
+        `Unknown type "${type}" for ${name} in env.schema.js. Use one of: ` +
+          `${TYPES.join(', ')}.`
+      );
+    }
+    if (type === 'enum' && !(Array.isArray(values) && values.length)) {
+      throw new Error(`${name} in env.schema.js needs a list of "values".`);
+    }
+    if (
+      schema[name].default !== undefined &&
+      !isValidDefault(schema[name].default, schema[name])
+    ) {
+      throw new Error(
+        `The default of ${name} in env.schema.js is not a valid ${type}.`
+      );
+    }
+  });
+  return schema;
+}
+
+// Defaults are used as they are, so they must have the declared type already.
+function isValidDefault(value, definition) {
+  switch (definition.type) {
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    default:
+      return (
+        typeof value === 'string' && !parseValue(value, definition).problem
+      );
+  }
+}
+
+// Convert the raw string to the declared type. Returns `{ value }` or
+// `{ problem }`.
+function parseValue(raw, { type = 'string', values }) {
+  switch (type) {
+    case 'number': {
+      const value = Number(raw);
+      return raw.trim() !== '' && !Number.isNaN(value)
+        ? { value }
+        : { problem: `expected a number, got "${raw}"` };
+    }
+    case 'boolean':
+      return Object.prototype.hasOwnProperty.call(BOOLEANS, raw.toLowerCase())
+        ? { value: BOOLEANS[raw.toLowerCase()] }
+        : { problem: `expected true, false, 1 or 0, got "${raw}"` };
+    case 'url':
+      try {
+        new URL(raw);
+        return { value: raw };
+      } catch (e) {
+        return { problem: `expected an absolute URL, got "${raw}"` };
+      }
+    case 'enum':
+      return values.includes(raw)
+        ? { value: raw }
+        : { problem: `expected one of ${values.join(', ')}, got "${raw}"` };
+    default:
+      return { value: raw };
+  }
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+// Check `env` against the schema. `values` holds every declared variable that
+// is set or has a default, converted to its type.
+function validateEnv(schema, env = process.env) {
+  const values = {};
+  const problems = [];
+  const unknown = [];
+
+  Object.keys(schema).forEach((name) => {
+    const definition = schema[name];
+    const raw = env[name];
+
+    if (raw === undefined || raw === '') {
+      if (definition.default !== undefined) {
+        values[name] = definition.default;
+      } else if (definition.required) {
+        problems.push({ name, problem: 'is required but not set' });
+      }
+      return;
+    }
+
+    const { value, problem } = parseValue(raw, definition);
+    if (problem) problems.push({ name, problem });
+    else values[name] = value;
+  });
+
+  Object.keys(env)
+    .filter((name) => REACT_APP.test(name) && !(name in schema))
+    .forEach((name) => {
+      const suggestion = Object.keys(schema).find(
+        (known) => editDistance(name, known) <= 3
+      );
+      unknown.push({ name, suggestion });
+    });
+
+  return { values, problems, unknown };
+}
+
+// The client part of the environment: declared client variables with their
+// values normalized by type (` 3.50` is `3.5`, `TRUE` is `true`), undeclared
+// REACT_APP_ ones as they are. All of them are strings, as `process.env` is
+// typed.
+function getClientValues(schema, env = process.env) {
+  const { values } = validateEnv(schema, env);
+  const client = {};
+
+  Object.keys(env)
+    .filter((name) => REACT_APP.test(name) && !(name in schema))
+    .forEach((name) => (client[name] = env[name]));
+  Object.keys(schema)
+    .filter((name) => isClient(name, schema[name]) && name in values)
+    .forEach((name) => (client[name] = String(values[name])));
+
+  return client;
+}
+
+function typeOf({ type = 'string', values }) {
+  if (type === 'number' || type === 'boolean') return type;
+  if (type === 'enum') return values.map((value) => `'${value}'`).join(' | ');
+  return 'string';
+}
+
+// Numbers and booleans are strings on `process.env`, and converted for `env`.
+const CONVERSIONS = { number: 'toNumber', boolean: 'toBoolean' };
+const processEnvTypeOf = (definition) =>
+  CONVERSIONS[definition.type] ? 'string' : typeOf(definition);
+
+// The values are read through `getConfig`, so they follow the runtime config
+// too (see `./runtimeConfig.js`).
+function renderEnvModule(schema) {
+  const names = Object.keys(schema).filter((name) =>
+    isClient(name, schema[name])
+  );
+  const field = (name, type) => {
+    const definition = schema[name];
+    const optional = !definition.required && definition.default === undefined;
+    return `readonly ${name}${optional ? '?' : ''}: ${type};`;
+  };
+  const read = (name) => {
+    const conversion = CONVERSIONS[schema[name].type];
+    const value = `getConfig('${name}')`;
+    return conversion ? `${conversion}(${value})` : value;
+  };
+
+  return [
+    '// Generated from env.schema.js by `npm run dev` and `npm run build`.',
+    '// Do not edit, change the schema instead.',
+    '',
+    "import { getConfig } from './runtimeConfig';",
+    '',
+    'declare global {',
+    '  namespace NodeJS {',
+    '    interface ProcessEnv {',
+    ...names.map(
+      (name) => `      ${field(name, processEnvTypeOf(schema[name]))}`
+    ),
+    '    }',
+    '  }',
+    '}',
+    '',
+    'export interface Env {',
+    ...names.map((name) => `  ${field(name, typeOf(schema[name]))}`),
+    '}',
+    '',
+    'const toNumber = (value?: string) =>',
+    '  value === undefined ? undefined : Number(value);',
+    'const toBoolean = (value?: string) =>',
+    "  value === undefined ? undefined : value === 'true';",
+    '',
+    'export const env = {',
+    ...names.map((name) => `  ${name}: ${read(name)},`),
+    '} as Env;',
+    '',
+  ].join('\n');
+}
+
+// Validate the environment and refresh `src/env.generated.ts`. Prints the
+// problems and returns false if the environment is invalid.
+function verifyEnvSchema() {
+  const schema = loadEnvSchema();
+  if (!schema) return true;
+
+  const { problems, unknown } = validateEnv(schema);
+
+  unknown.forEach(({ name, suggestion }) =>
+    warn(
+      `${name} is not declared in env.schema.js` +
+        (suggestion ? `. Did you mean ${chalk.bold(suggestion)}?` : '.')
+    )
+  );
+
+  if (problems.length) {
+    error('The environment does not match env.schema.js:');
+    print(
+      problems
+        .map(({ name, problem }) => `  - ${chalk.bold(name)} ${problem}`)
+        .join('\n') + '\n',
+      problems
+    );
+    return false;
+  }
+
+  writeIfChanged(paths.appEnvModule, renderEnvModule(schema));
+  return true;
+}
+
+module.exports = {
+  loadEnvSchema,
+  parseValue,
+  validateEnv,
+  getClientValues,
+  renderEnvModule,
+  verifyEnvSchema,
+};
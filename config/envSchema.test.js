@@ -0,0 +1,228 @@
+/** @jest-environment node */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'env-schema-'));
+const mockPaths = {};
+jest.mock('./paths', () => mockPaths);
+
+const {
+  loadEnvSchema,
+  parseValue,
+  validateEnv,
+  getClientValues,
+  renderEnvModule,
+} = require('./envSchema');
+
+afterAll(() => {
+  fs.removeSync(dir);
+});
+
+describe('parseValue', () => {
+  it('keeps strings as they are', () => {
+    expect(parseValue(' a b ', {})).toEqual({ value: ' a b ' });
+  });
+
+  it('parses numbers', () => {
+    expect(parseValue('3.5', { type: 'number' })).toEqual({ value: 3.5 });
+    expect(parseValue('three', { type: 'number' })).toEqual({
+      problem: 'expected a number, got "three"',
+    });
+    expect(parseValue(' ', { type: 'number' }).problem).toBeDefined();
+  });
+
+  it('parses booleans', () => {
+    const boolean = { type: 'boolean' };
+    expect(parseValue('TRUE', boolean)).toEqual({ value: true });
+    expect(parseValue('0', boolean)).toEqual({ value: false });
+    expect(parseValue('yes', boolean).problem).toBeDefined();
+    expect(parseValue('constructor', boolean).problem).toBeDefined();
+  });
+
+  it('requires absolute URLs', () => {
+    const url = { type: 'url' };
+    expect(parseValue('https://api.example.com', url)).toEqual({
+      value: 'https://api.example.com',
+    });
+    expect(parseValue('/api', url)).toEqual({
+      problem: 'expected an absolute URL, got "/api"',
+    });
+  });
+
+  it('checks enums against their values', () => {
+    const theme = { type: 'enum', values: ['light', 'dark'] };
+    expect(parseValue('dark', theme)).toEqual({ value: 'dark' });
+    expect(parseValue('blue', theme)).toEqual({
+      problem: 'expected one of light, dark, got "blue"',
+    });
+  });
+});
+
+describe('validateEnv', () => {
+  const schema = {
+    REACT_APP_API_URL: { type: 'url', required: true },
+    REACT_APP_RETRIES: { type: 'number', default: 3 },
+    REACT_APP_DEBUG: { type: 'boolean' },
+    SENTRY_AUTH_TOKEN: { required: true },
+  };
+
+  it('converts the values and applies defaults', () => {
+    const result = validateEnv(schema, {
+      REACT_APP_API_URL: 'https://api.example.com',
+      REACT_APP_DEBUG: 'false',
+      SENTRY_AUTH_TOKEN: 'secret',
+    });
+
+    expect(result).toEqual({
+      values: {
+        REACT_APP_API_URL: 'https://api.example.com',
+        REACT_APP_RETRIES: 3,
+        REACT_APP_DEBUG: false,
+        SENTRY_AUTH_TOKEN: 'secret',
+      },
+      problems: [],
+      unknown: [],
+    });
+  });
+
+  it('reports missing and invalid values', () => {
+    const { problems } = validateEnv(schema, {
+      REACT_APP_API_URL: '',
+      REACT_APP_RETRIES: 'many',
+    });
+
+    expect(problems).toEqual([
+      { name: 'REACT_APP_API_URL', problem: 'is required but not set' },
+      {
+        name: 'REACT_APP_RETRIES',
+        problem: 'expected a number, got "many"',
+      },
+      { name: 'SENTRY_AUTH_TOKEN', problem: 'is required but not set' },
+    ]);
+  });
+
+  it('suggests declared names for undeclared REACT_APP_ variables', () => {
+    const { unknown } = validateEnv(schema, {
+      REACT_APP_API_ULR: 'https://api.example.com',
+      REACT_APP_VERSION: '1.0.0',
+      NODE_ENV: 'test',
+    });
+
+    expect(unknown).toEqual([
+      { name: 'REACT_APP_API_ULR', suggestion: 'REACT_APP_API_URL' },
+      { name: 'REACT_APP_VERSION', suggestion: undefined },
+    ]);
+  });
+
+  it('hands only client variables to the client', () => {
+    const client = getClientValues(
+      {
+        ...schema,
+        SHARED: { client: true },
+        REACT_APP_HIDDEN: { client: false },
+      },
+      {
+        REACT_APP_API_URL: 'https://api.example.com',
+        REACT_APP_VERSION: '1.0.0',
+        REACT_APP_HIDDEN: 'x',
+        SHARED: 'y',
+        SENTRY_AUTH_TOKEN: 'secret',
+      }
+    );
+
+    expect(client).toEqual({
+      REACT_APP_API_URL: 'https://api.example.com',
+      REACT_APP_RETRIES: '3',
+      REACT_APP_VERSION: '1.0.0',
+      SHARED: 'y',
+    });
+  });
+});
+
+describe('loadEnvSchema', () => {
+  // Jest caches required files by path, so every schema gets a file of its own.
+  let schemaCount = 0;
+  const load = (schema) => {
+    mockPaths.appEnvSchema = path.join(dir, `${++schemaCount}.schema.js`);
+    fs.writeFileSync(
+      mockPaths.appEnvSchema,
+      `module.exports = ${JSON.stringify(schema)};`
+    );
+    return loadEnvSchema();
+  };
+
+  it('returns null without a schema', () => {
+    mockPaths.appEnvSchema = path.join(dir, 'missing.schema.js');
+    expect(loadEnvSchema()).toBe(null);
+  });
+
+  it('rejects unknown types and enums without values', () => {
+    expect(() => load({ A: { type: 'date' } })).toThrow(
+      'Unknown type "date" for A in env.schema.js.'
+    );
+    expect(() => load({ A: { type: 'enum' } })).toThrow(
+      'A in env.schema.js needs a list of "values".'
+    );
+  });
+
+  it('rejects defaults of the wrong type', () => {
+    expect(() => load({ A: { type: 'number', default: '3' } })).toThrow(
+      'The default of A in env.schema.js is not a valid number.'
+    );
+    expect(() => load({ A: { type: 'boolean', default: 'false' } })).toThrow(
+      'not a valid boolean'
+    );
+    expect(() =>
+      load({ A: { type: 'enum', values: ['a'], default: 'b' } })
+    ).toThrow('not a valid enum');
+    expect(load({ A: { type: 'number', default: 3 } })).toEqual({
+      A: { type: 'number', default: 3 },
+    });
+  });
+});
+
+describe('renderEnvModule', () => {
+  const source = renderEnvModule({
+    REACT_APP_API_URL: { type: 'url', required: true },
+    REACT_APP_RETRIES: { type: 'number', default: 3 },
+    REACT_APP_DEBUG: { type: 'boolean' },
+    REACT_APP_THEME: { type: 'enum', values: ['light', 'dark'] },
+    SENTRY_AUTH_TOKEN: { required: true },
+  });
+
+  it('types the client variables on process.env as strings', () => {
+    expect(source).toContain(
+      [
+        '    interface ProcessEnv {',
+        '      readonly REACT_APP_API_URL: string;',
+        '      readonly REACT_APP_RETRIES: string;',
+        '      readonly REACT_APP_DEBUG?: string;',
+        "      readonly REACT_APP_THEME?: 'light' | 'dark';",
+        '    }',
+      ].join('\n')
+    );
+    expect(source).not.toContain('SENTRY_AUTH_TOKEN');
+  });
+
+  it('exports them as env with their types', () => {
+    expect(source).toContain(
+      [
+        'export interface Env {',
+        '  readonly REACT_APP_API_URL: string;',
+        '  readonly REACT_APP_RETRIES: number;',
+        '  readonly REACT_APP_DEBUG?: boolean;',
+        "  readonly REACT_APP_THEME?: 'light' | 'dark';",
+        '}',
+      ].join('\n')
+    );
+    expect(source).toContain(
+      "  REACT_APP_RETRIES: toNumber(getConfig('REACT_APP_RETRIES')),"
+    );
+    expect(source).toContain(
+      "  REACT_APP_DEBUG: toBoolean(getConfig('REACT_APP_DEBUG')),"
+    );
+  });
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const chalk = require('react-dev-utils/chalk');
+const createBeaconRouter = require('./beaconRouter');
+const { error, log } = require('./logger').child('errors');
+
+// Collects the error reports of `src/errorReporting.ts` on the dev server and
+// in `npm run serve`, to try out error reporting locally:
+//   POST /__errors   a batch of reports, printed in the terminal
+//   GET  /__errors   the last reports received
+// The dev server is the default endpoint in development. To report to it from
+// `npm run serve`, build with ERROR_REPORTING_URL=/__errors.
+
+const COLLECTOR_PATH = '/__errors';
+const MAX_KEPT = 100;
+
+function printReport(report) {
+  error(
+    `${report.source}: ${report.name}: ${report.message} ` +
+      chalk.dim(`(${report.route}, version ${report.version})`)
+  );
+  if (report.stack) log(chalk.dim(report.stack));
+  if (report.componentStack) log(chalk.dim(report.componentStack.trim()));
+  (report.breadcrumbs || []).forEach(({ time, category, message }) => {
+    log(chalk.dim(`  ${time} ${category} ${message}`));
+  });
+}
+
+function errorCollectorMiddleware() {
+  const reports = [];
+
+  return createBeaconRouter(COLLECTOR_PATH, {
+    limit: '1mb',
+    list: () => ({ reports }),
+    receive: (body) => {
+      const batch = (body && body.reports) || [];
+      if (!Array.isArray(batch)) return 'Expected { reports: [...] }.';
+      batch.forEach(printReport);
+      reports.push(...batch);
+      reports.splice(0, reports.length - MAX_KEPT);
+    },
+  });
+}
+
+module.exports = { errorCollectorMiddleware };
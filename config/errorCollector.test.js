@@ -0,0 +1,72 @@
+/** @jest-environment node */
+'use strict';
+
+const http = require('http');
+const express = require('express');
+
+jest.mock('./logger', () => ({
+  child: () => ({ error: jest.fn(), log: jest.fn() }),
+}));
+
+const { errorCollectorMiddleware } = require('./errorCollector');
+
+let server;
+
+// Beacons are sent as text/plain.
+function request(method, body) {
+  return new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const headers = { 'Content-Type': 'text/plain' };
+    http
+      .request({ port, method, path: '/__errors', headers }, (res) => {
+        let text = '';
+        res.on('data', (chunk) => (text += chunk));
+        res.on('end', () =>
+          resolve({ status: res.statusCode, body: text && JSON.parse(text) })
+        );
+      })
+      .on('error', reject)
+      .end(body);
+  });
+}
+
+const report = (message) => ({
+  source: 'error',
+  name: 'Error',
+  message,
+  route: '/',
+  version: '1.0.0',
+  breadcrumbs: [],
+});
+
+beforeAll((done) => {
+  const app = express();
+  app.use(errorCollectorMiddleware());
+  server = app.listen(0, '127.0.0.1', done);
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+describe('errorCollectorMiddleware', () => {
+  it('keeps the reports sent as beacons', async () => {
+    const reports = [report('First'), report('Second')];
+
+    expect(await request('POST', JSON.stringify({ reports }))).toEqual({
+      status: 204,
+      body: '',
+    });
+    expect(await request('GET')).toEqual({ status: 200, body: { reports } });
+  });
+
+  it('rejects malformed batches', async () => {
+    expect(await request('POST', '{"reports":')).toMatchObject({
+      status: 400,
+    });
+    expect(await request('POST', '{"reports":{}}')).toEqual({
+      status: 400,
+      body: { error: 'Expected { reports: [...] }.' },
+    });
+  });
+});
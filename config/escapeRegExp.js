@@ -0,0 +1,6 @@
+'use strict';
+
+// `string` as a regular expression source that matches it literally.
+const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegExp;
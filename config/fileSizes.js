@@ -0,0 +1,41 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Content hashes as emitted by the production config, e.g. `main.120de06e.js`.
+const contentHashRegex = /\.[0-9a-f]{8}(?=\.)/;
+
+// `static/js/main.120de06e.chunk.js` -> `static/js/main.chunk.js`, so a file
+// can be followed across builds.
+function stripContentHash(file) {
+  return file.replace(contentHashRegex, '');
+}
+
+function formatSize(bytes) {
+  const sign = bytes < 0 ? '-' : '';
+  const abs = Math.abs(bytes);
+  return abs >= 1024
+    ? `${sign}${(abs / 1024).toFixed(2)} KB`
+    : `${sign}${abs} B`;
+}
+
+// Returns a function reading the raw and gzipped size of a file relative to
+// `folder`. Sizes are cached, the same file is often counted more than once.
+function createSizeReader(folder) {
+  const cache = new Map();
+
+  return (file) => {
+    if (!cache.has(file)) {
+      const contents = fs.readFileSync(path.join(folder, file));
+      cache.set(file, {
+        raw: contents.length,
+        gzip: zlib.gzipSync(contents, { level: 9 }).length,
+      });
+    }
+    return cache.get(file);
+  };
+}
+
+module.exports = { stripContentHash, formatSize, createSizeReader };
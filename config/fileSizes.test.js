@@ -0,0 +1,41 @@
+/** @jest-environment node */
+'use strict';
+
+const { stripContentHash, formatSize } = require('./fileSizes');
+
+describe('stripContentHash', () => {
+  it('removes the content hash from a file name', () => {
+    expect(stripContentHash('static/js/main.120de06e.chunk.js')).toBe(
+      'static/js/main.chunk.js'
+    );
+    expect(stripContentHash('static/css/main.0a1b2c3d.css')).toBe(
+      'static/css/main.css'
+    );
+  });
+
+  it('leaves names without a hash alone', () => {
+    expect(stripContentHash('static/js/runtime-main.js')).toBe(
+      'static/js/runtime-main.js'
+    );
+    expect(stripContentHash('static/js/vendors.deadbeef0.js')).toBe(
+      'static/js/vendors.deadbeef0.js'
+    );
+  });
+});
+
+describe('formatSize', () => {
+  it('formats bytes below 1 KB as bytes', () => {
+    expect(formatSize(0)).toBe('0 B');
+    expect(formatSize(1023)).toBe('1023 B');
+  });
+
+  it('formats larger sizes in KB', () => {
+    expect(formatSize(1024)).toBe('1.00 KB');
+    expect(formatSize(1536)).toBe('1.50 KB');
+  });
+
+  it('keeps the sign of negative sizes', () => {
+    expect(formatSize(-12)).toBe('-12 B');
+    expect(formatSize(-2048)).toBe('-2.00 KB');
+  });
+});
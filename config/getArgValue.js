@@ -0,0 +1,29 @@
+'use strict';
+
+const chalk = require('react-dev-utils/chalk');
+
+// Value of a command-line option of the scripts, given as `--size-label main`
+// or `--size-label=main`; undefined without the option. An option without a
+// value is an error, rather than taking the next option (`--size-label
+// --stats`) as its value.
+function getArgValue(flag, argv = process.argv.slice(2)) {
+  const index = argv.findIndex(
+    (arg) => arg === flag || arg.startsWith(`${flag}=`)
+  );
+  if (index === -1) return undefined;
+
+  const value =
+    argv[index] === flag
+      ? argv[index + 1]
+      : argv[index].slice(flag.length + 1);
+  if (!value || value.startsWith('-')) {
+    throw new Error(
+      `The ${chalk.cyan(flag)} option needs a value, e.g. ${chalk.cyan(
+        `${flag} <value>`
+      )}.`
+    );
+  }
+  return value;
+}
+
+module.exports = getArgValue;
@@ -0,0 +1,27 @@
+/** @jest-environment node */
+'use strict';
+
+const getArgValue = require('./getArgValue');
+
+describe('getArgValue', () => {
+  it('reads the value after the option or after an equals sign', () => {
+    expect(getArgValue('--target', ['--target', 'main'])).toBe('main');
+    expect(getArgValue('--target', ['--stats', '--target=main'])).toBe('main');
+  });
+
+  it('returns undefined without the option', () => {
+    expect(getArgValue('--target', ['--targets', 'main'])).toBeUndefined();
+  });
+
+  it('rejects an option without a value', () => {
+    expect(() => getArgValue('--target', ['--target'])).toThrow(
+      /--target.* option needs a value/
+    );
+    expect(() => getArgValue('--target', ['--target='])).toThrow(
+      /option needs a value/
+    );
+    expect(() => getArgValue('--target', ['--target', '--stats'])).toThrow(
+      /option needs a value/
+    );
+  });
+});
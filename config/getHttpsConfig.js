@@ -5,6 +5,7 @@ const path = require('path');
 const crypto = require('crypto');
 const chalk = require('react-dev-utils/chalk');
 const paths = require('./paths');
+const { getLocalCertificate } = require('./localCertificate');
 
 // Ensure the certificate and key provided are valid and if not
 // throw an easy to debug error
@@ -44,8 +45,9 @@ function readEnvFile(file, type) {
 }
 
 // Get the https config
-// Return cert files if provided in env, otherwise just true or false
-function getHttpsConfig() {
+// Return cert files if provided in env, otherwise a certificate signed by the
+// local CA covering `lanHost`, or false
+function getHttpsConfig(lanHost) {
   const { SSL_CRT_FILE, SSL_KEY_FILE, HTTPS } = process.env;
   const isHttps = HTTPS === 'true';
 
@@ -60,7 +62,7 @@ function getHttpsConfig() {
     validateKeyAndCerts({ ...config, keyFile, crtFile });
     return config;
   }
-  return isHttps;
+  return isHttps && getLocalCertificate(lanHost);
 }
 
 module.exports = getHttpsConfig;
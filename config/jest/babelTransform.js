@@ -0,0 +1,10 @@
+'use strict';
+
+const babelJest = require('babel-jest');
+
+// Uses the presets from `.babelrc.js`, the same ones webpack's babel-loader
+// picks up, so tests compile TS/TSX exactly like the app does.
+module.exports = babelJest.createTransformer({
+  babelrc: false,
+  configFile: require.resolve('../../.babelrc.js'),
+});
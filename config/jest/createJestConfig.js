@@ -0,0 +1,63 @@
+'use strict';
+
+const fs = require('fs');
+const paths = require('../paths');
+const { loadOverrides } = require('../overrides');
+const escapeRegExp = require('../escapeRegExp');
+
+// Mirror webpack's `resolve.alias`: the built-in `src` alias plus string
+// aliases from `boilerplate.config.js`.
+function getAliasMappers(overrides) {
+  const alias = { src: paths.appSrc, ...overrides.alias };
+
+  return Object.keys(alias)
+    .filter((name) => typeof alias[name] === 'string')
+    .reduce((mappers, name) => {
+      mappers[`^${escapeRegExp(name)}(/.*)?$`] = `${alias[name]}$1`;
+      return mappers;
+    }, {});
+}
+
+function createJestConfig() {
+  const overrides = loadOverrides({ mode: 'test', paths });
+  const setupTestsFile = fs.existsSync(paths.testsSetup)
+    ? paths.testsSetup
+    : undefined;
+
+  return {
+    rootDir: paths.appPath,
+    // `config/` for the specs of the build tooling itself.
+    roots: ['<rootDir>/src', '<rootDir>/config'],
+    collectCoverageFrom: ['src/**/*.{js,jsx,ts,tsx}', '!src/**/*.d.ts'],
+    setupFilesAfterEnv: setupTestsFile ? [setupTestsFile] : [],
+    testMatch: [
+      '<rootDir>/src/**/__tests__/**/*.{js,jsx,ts,tsx}',
+      '<rootDir>/src/**/*.{spec,test}.{js,jsx,ts,tsx}',
+      '<rootDir>/config/**/*.test.js',
+    ],
+    testEnvironment: 'jsdom',
+    transform: {
+      '^.+\\.(js|jsx|mjs|cjs|ts|tsx)$': require.resolve('./babelTransform.js'),
+      '^.+\\.(css|scss|sass)$': require.resolve('./cssTransform.js'),
+      '^(?!.*\\.(js|jsx|mjs|cjs|ts|tsx|css|scss|sass|json)$)': require.resolve(
+        './fileTransform.js'
+      ),
+    },
+    transformIgnorePatterns: [
+      '[/\\\\]node_modules[/\\\\].+\\.(js|jsx|mjs|cjs|ts|tsx)$',
+      '^.+\\.module\\.(css|sass|scss)$',
+    ],
+    moduleNameMapper: {
+      // CSS Modules resolve to a proxy returning the class name as written,
+      // e.g. `classes.title === 'title'`.
+      '^.+\\.module\\.(css|sass|scss)$': require.resolve('identity-obj-proxy'),
+      ...getAliasMappers(overrides),
+    },
+    moduleFileExtensions: paths.moduleFileExtensions.filter(
+      (ext) => !ext.includes('web.')
+    ),
+    resetMocks: true,
+  };
+}
+
+module.exports = createJestConfig;
@@ -0,0 +1,16 @@
+'use strict';
+
+// This is a custom Jest transformer turning style imports into empty objects.
+// http://facebook.github.io/jest/docs/en/webpack.html
+// CSS Modules (`*.module.css`, `*.module.scss`) never get here: they are
+// mapped to `identity-obj-proxy` in `createJestConfig.js`.
+
+module.exports = {
+  process() {
+    return 'module.exports = {};';
+  },
+  getCacheKey() {
+    // The output is always the same.
+    return 'cssTransform';
+  },
+};
@@ -0,0 +1,208 @@
+'use strict';
+
+const fs = require('fs-extra');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+const chalk = require('react-dev-utils/chalk');
+const paths = require('./paths');
+const { info, log } = require('./logger').child('https');
+
+// A local certificate authority, and a dev server certificate signed by it, so
+// HTTPS=true works without warnings once the CA is trusted, including on
+// phones reaching the server over the LAN. Both are cached in
+// node_modules/.cache/local-https. The CA is kept until it expires so it only
+// has to be trusted once; the server certificate is reissued when it expires
+// or when the hosts it must cover change.
+
+const DAY = 24 * 60 * 60 * 1000;
+const CA_DAYS = 10 * 365;
+// Browsers reject server certificates valid for more than 398 days.
+const CERTIFICATE_DAYS = 365;
+// Renew a little early so a long-running dev server doesn't hit the expiry.
+const RENEW_BEFORE = 7 * DAY;
+
+const LOCAL_CA_URL = '/__local-ca.crt';
+
+const files = {
+  caCert: path.join(paths.appLocalCertificates, 'ca.crt'),
+  caKey: path.join(paths.appLocalCertificates, 'ca.key'),
+  cert: path.join(paths.appLocalCertificates, 'server.crt'),
+  key: path.join(paths.appLocalCertificates, 'server.key'),
+};
+
+// localhost, HOST and the LAN address from `prepareUrls`.
+function getHosts(lanHost) {
+  const hosts = ['localhost', '127.0.0.1', '::1', process.env.HOST, lanHost];
+  return [...new Set(hosts)]
+    .filter((host) => host && host !== '0.0.0.0' && host !== '::')
+    .sort();
+}
+
+function createCertificate({ subject, issuer, publicKey, days }) {
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = publicKey;
+  // A positive, random serial.
+  cert.serialNumber =
+    '01' + forge.util.bytesToHex(forge.random.getBytesSync(15));
+  cert.validity.notBefore = new Date(Date.now() - DAY);
+  cert.validity.notAfter = new Date(Date.now() + days * DAY);
+  cert.setSubject(subject);
+  cert.setIssuer(issuer);
+  return cert;
+}
+
+function createCa() {
+  const keys = forge.pki.rsa.generateKeyPair({ bits: 2048 });
+  const subject = [
+    { name: 'commonName', value: `Local development CA (${os.hostname()})` },
+    { name: 'organizationName', value: 'Local development' },
+  ];
+  const cert = createCertificate({
+    subject,
+    issuer: subject,
+    publicKey: keys.publicKey,
+    days: CA_DAYS,
+  });
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: true, critical: true },
+    { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+    { name: 'subjectKeyIdentifier' },
+  ]);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+  return { cert, key: keys.privateKey };
+}
+
+function createServerCertificate(ca, hosts) {
+  const keys = forge.pki.rsa.generateKeyPair({ bits: 2048 });
+  const cert = createCertificate({
+    subject: [{ name: 'commonName', value: 'localhost' }],
+    issuer: ca.cert.subject.attributes,
+    publicKey: keys.publicKey,
+    days: CERTIFICATE_DAYS,
+  });
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    {
+      name: 'keyUsage',
+      digitalSignature: true,
+      keyEncipherment: true,
+      critical: true,
+    },
+    { name: 'extKeyUsage', serverAuth: true },
+    {
+      name: 'subjectAltName',
+      // 7 is an IP address, 2 a DNS name.
+      altNames: hosts.map((host) =>
+        net.isIP(host) ? { type: 7, ip: host } : { type: 2, value: host }
+      ),
+    },
+    {
+      name: 'authorityKeyIdentifier',
+      keyIdentifier: ca.cert.generateSubjectKeyIdentifier().getBytes(),
+    },
+  ]);
+  cert.sign(ca.key, forge.md.sha256.create());
+  return { cert, key: keys.privateKey };
+}
+
+// The cached certificate and key, or null if missing or about to expire.
+function readCached(certFile, keyFile) {
+  if (!fs.existsSync(certFile) || !fs.existsSync(keyFile)) return null;
+  try {
+    const cert = forge.pki.certificateFromPem(
+      fs.readFileSync(certFile, 'utf8')
+    );
+    const key = forge.pki.privateKeyFromPem(fs.readFileSync(keyFile, 'utf8'));
+    if (cert.validity.notAfter.getTime() - Date.now() < RENEW_BEFORE) {
+      return null;
+    }
+    return { cert, key };
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeCached(certFile, keyFile, { cert, key }) {
+  fs.outputFileSync(certFile, forge.pki.certificateToPem(cert));
+  fs.outputFileSync(keyFile, forge.pki.privateKeyToPem(key), { mode: 0o600 });
+}
+
+function getAltNames(cert) {
+  const extension = cert.getExtension('subjectAltName');
+  return extension
+    ? extension.altNames.map(({ ip, value }) => ip || value).sort()
+    : [];
+}
+
+function isIssuedBy(cert, ca) {
+  try {
+    return ca.cert.verify(cert);
+  } catch (e) {
+    return false;
+  }
+}
+
+function printTrustInstructions() {
+  const ca = chalk.cyan(path.relative(process.cwd(), files.caCert));
+  info('Created a local certificate authority for HTTPS.');
+  log('Trust it once to use the dev server without certificate warnings:');
+  log(
+    `  macOS:    security add-trusted-cert -r trustRoot ` +
+      `-k ~/Library/Keychains/login.keychain-db ${ca}`
+  );
+  log(`  Windows:  certutil -user -addstore Root ${ca}`);
+  log(
+    `  Linux:    certutil -d sql:$HOME/.pki/nssdb -A -t C,, ` +
+      `-n "Local development CA" -i ${ca}`
+  );
+  log(
+    `  Phones:   open ${chalk.cyan(LOCAL_CA_URL)} on the dev server, install ` +
+      'the profile, then enable full trust for it (iOS: Settings > General > ' +
+      'About > Certificate Trust Settings).'
+  );
+  log();
+}
+
+// PEM key, certificate and CA for the dev server, covering `getHosts()`.
+function getLocalCertificate(lanHost) {
+  const hosts = getHosts(lanHost);
+
+  let ca = readCached(files.caCert, files.caKey);
+  if (!ca) {
+    ca = createCa();
+    writeCached(files.caCert, files.caKey, ca);
+    printTrustInstructions();
+  }
+
+  let server = readCached(files.cert, files.key);
+  if (
+    !server ||
+    !isIssuedBy(server.cert, ca) ||
+    getAltNames(server.cert).join() !== hosts.join()
+  ) {
+    server = createServerCertificate(ca, hosts);
+    writeCached(files.cert, files.key, server);
+    info(`Issued an HTTPS certificate for ${hosts.join(', ')}.`);
+  }
+
+  const caPem = forge.pki.certificateToPem(ca.cert);
+  return {
+    key: forge.pki.privateKeyToPem(server.key),
+    // Send the CA along so clients get the whole chain.
+    cert: forge.pki.certificateToPem(server.cert) + caPem,
+    ca: caPem,
+  };
+}
+
+// Dev server middleware serving the CA certificate, so phones can install it.
+function localCaMiddleware() {
+  return (req, res, next) => {
+    if (req.path !== LOCAL_CA_URL) return next();
+    res.set('Content-Type', 'application/x-x509-ca-cert');
+    res.sendFile(files.caCert);
+  };
+}
+
+module.exports = { getLocalCertificate, localCaMiddleware };
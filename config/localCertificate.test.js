@@ -0,0 +1,72 @@
+/** @jest-environment node */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+
+const mockPaths = {
+  appLocalCertificates: fs.mkdtempSync(path.join(os.tmpdir(), 'local-https-')),
+};
+jest.mock('./paths', () => mockPaths);
+jest.mock('./logger', () => ({
+  child: () => ({ info: jest.fn(), log: jest.fn() }),
+}));
+
+const { getLocalCertificate } = require('./localCertificate');
+
+afterAll(() => {
+  fs.removeSync(mockPaths.appLocalCertificates);
+});
+
+// The first PEM certificate is the server's, the CA is sent along with it.
+const parse = ({ cert, ca }) => ({
+  cert: forge.pki.certificateFromPem(cert),
+  ca: forge.pki.certificateFromPem(ca),
+});
+
+const getAltNames = (cert) =>
+  cert
+    .getExtension('subjectAltName')
+    .altNames.map(({ ip, value }) => ip || value)
+    .sort();
+
+describe('getLocalCertificate', () => {
+  let first;
+
+  beforeAll(() => {
+    first = getLocalCertificate('192.168.1.20');
+  });
+
+  it('issues a certificate signed by the local CA', () => {
+    const { cert, ca } = parse(first);
+    const key = forge.pki.privateKeyFromPem(first.key);
+
+    expect(ca.verify(cert)).toBe(true);
+    expect(ca.getExtension('basicConstraints').cA).toBe(true);
+    expect(first.cert.endsWith(first.ca)).toBe(true);
+    expect(key.n.equals(cert.publicKey.n)).toBe(true);
+  });
+
+  it('covers localhost and the LAN address', () => {
+    expect(getAltNames(parse(first).cert)).toEqual([
+      '127.0.0.1',
+      '192.168.1.20',
+      '::1',
+      'localhost',
+    ]);
+  });
+
+  it('reuses the cached certificates', () => {
+    expect(getLocalCertificate('192.168.1.20')).toEqual(first);
+  });
+
+  it('keeps the CA but reissues the certificate for new hosts', () => {
+    const moved = getLocalCertificate('10.0.0.5');
+
+    expect(moved.ca).toBe(first.ca);
+    expect(moved.key).not.toBe(first.key);
+    expect(getAltNames(parse(moved).cert)).toContain('10.0.0.5');
+  });
+});
@@ -1,42 +1,148 @@
+const util = require('util');
 const chalk = require('react-dev-utils/chalk');
 
-function dir(args) {
-  console.dir(args, {
+// Levelled logger shared by the config and the scripts.
+//
+// - LOG_LEVEL: debug, info (default), warn, error or silent
+// - LOG_FORMAT=json: one JSON object per line, e.g.
+//   {"time":"...","level":"info","scope":"build","msg":"...","data":[...]}
+//
+// Values of env variables that look like secrets (API keys, tokens,
+// passwords) are masked wherever they show up in a message or its data.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const SECRET_KEY = /KEY|TOKEN|SECRET|PASSWORD|CREDENTIAL/i;
+const MASK = '********';
+
+const isJson = process.env.LOG_FORMAT === 'json';
+const minLevel =
+  LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+// Colors only get in the way of a log parser.
+if (isJson) chalk.level = 0;
+
+const isSecretKey = (key) => SECRET_KEY.test(key);
+
+// Secret values are read for every line, as the .env files are loaded after
+// the logger; too short ones would mask random substrings.
+const getSecretValues = () =>
+  Object.keys(process.env)
+    .filter((key) => isSecretKey(key) && process.env[key].length >= 4)
+    .map((key) => process.env[key])
+    .sort((a, b) => b.length - a.length);
+
+function maskString(text, secretValues) {
+  return secretValues.reduce(
+    (masked, secret) => masked.split(secret).join(MASK),
+    text
+  );
+}
+
+// Copy of `value` with secret-looking keys and known secret values masked.
+function mask(value, secretValues, seen = new Set()) {
+  if (typeof value === 'string') return maskString(value, secretValues);
+  if (!value || typeof value !== 'object' || seen.has(value)) return value;
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: maskString(value.message, secretValues),
+      stack: value.stack && maskString(value.stack, secretValues),
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => mask(item, secretValues, seen));
+  }
+  if (Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+  return Object.keys(value).reduce((masked, key) => {
+    masked[key] =
+      isSecretKey(key) && value[key] != null && value[key] !== ''
+        ? MASK
+        : mask(value[key], secretValues, seen);
+    return masked;
+  }, {});
+}
+
+const stripAnsi = (text) => text.replace(/\u001b\[[0-9;]*m/g, '');
+
+function inspect(args) {
+  return util.inspect(args, {
     depth: 5,
-    // showHidden: true,
-    color: true,
+    colors: chalk.level > 0,
     maxArrayLength: 5,
     maxStringLength: 200,
     breakLength: 100,
   });
 }
 
-function log(message, ...args) {
-  process.stdout.write(message + ' ');
-  if (args.length) dir(args);
+function writeJson(level, scope, message, args) {
+  // A bare `log()` is only spacing for humans.
+  if (message === undefined && !args.length) return;
 
-  console.log();
+  const secretValues = getSecretValues();
+  const text = String(message === undefined ? '' : message);
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    scope: scope || undefined,
+    msg: stripAnsi(maskString(text, secretValues)).trim(),
+    data: args.length ? mask(args, secretValues) : undefined,
+  };
+  process.stdout.write(JSON.stringify(entry) + '\n');
 }
 
-function info(message, ...args) {
-  process.stdout.write(chalk.green(message) + ' ');
-  if (args.length) dir(args);
-
-  console.log();
-}
+function writeText(color, scope, message, args) {
+  if (message === undefined && !args.length) {
+    process.stdout.write('\n');
+    return;
+  }
 
-function error(message, ...args) {
-  process.stdout.write(chalk.red(message) + ' ');
-  if (args.length) dir(args);
+  // Keep leading blank lines above the timestamp.
+  const secretValues = getSecretValues();
+  const text = maskString(
+    String(message === undefined ? '' : message),
+    secretValues
+  );
+  const [, spacing, rest] = /^(\n*)([\s\S]*)$/.exec(text);
+  const prefix = chalk.gray(
+    new Date().toTimeString().slice(0, 8) + (scope ? ` [${scope}]` : '')
+  );
 
-  console.log();
+  const data = args.length ? ' ' + inspect(mask(args, secretValues)) : '';
+  process.stdout.write(
+    `${spacing}${prefix} ${color ? color(rest) : rest}${data}\n`
+  );
 }
 
-function warn(message, ...args) {
-  process.stdout.write(chalk.yellow(message) + ' ');
-  if (args.length) dir(args);
+function createLogger(scope) {
+  const write = (level, color) => (message, ...args) => {
+    if (LEVELS[level] < minLevel) return;
+    if (isJson) writeJson(level, scope, message, args);
+    else writeText(color, scope, message, args);
+  };
 
-  console.log();
+  return {
+    debug: write('debug', chalk.gray),
+    log: write('info'),
+    info: write('info', chalk.green),
+    warn: write('warn', chalk.yellow),
+    error: write('error', chalk.red),
+    // Tables, trees and other preformatted lines, printed as they are. In
+    // JSON mode they're one entry, with `data` for parsers.
+    print: (text, data) => {
+      if (LEVELS.info < minLevel) return;
+      if (isJson) {
+        writeJson('info', scope, text, data === undefined ? [] : [data]);
+      } else {
+        process.stdout.write(maskString(text, getSecretValues()) + '\n');
+      }
+    },
+    child: (name) => createLogger(scope ? `${scope}:${name}` : name),
+    isLevelEnabled: (level) => LEVELS[level] >= minLevel,
+    isJson,
+  };
 }
 
-module.exports = { log, error, warn, info };
+module.exports = createLogger();
@@ -0,0 +1,119 @@
+/** @jest-environment node */
+'use strict';
+
+const SECRET = 'sk_live_0123456789';
+
+// A fresh logger: it reads LOG_FORMAT and LOG_LEVEL when it's loaded.
+function createLogger(env) {
+  Object.assign(process.env, env);
+  let logger;
+  jest.isolateModules(() => {
+    logger = require('./logger');
+  });
+  return logger;
+}
+
+let write;
+const output = () => write.mock.calls.map(([chunk]) => chunk).join('');
+const entries = () =>
+  output()
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+
+beforeEach(() => {
+  process.env.STRIPE_API_KEY = SECRET;
+  write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+});
+
+afterEach(() => {
+  write.mockRestore();
+  delete process.env.STRIPE_API_KEY;
+  delete process.env.LOG_FORMAT;
+  delete process.env.LOG_LEVEL;
+});
+
+describe('LOG_FORMAT=json', () => {
+  it('writes one JSON object per line', () => {
+    const logger = createLogger({ LOG_FORMAT: 'json' }).child('build');
+
+    logger.info('Compiled successfully.');
+    logger.print('  a table\n  of two lines', { rows: 2 });
+
+    expect(entries()).toEqual([
+      expect.objectContaining({
+        level: 'info',
+        scope: 'build',
+        msg: 'Compiled successfully.',
+      }),
+      expect.objectContaining({
+        msg: 'a table\n  of two lines',
+        data: [{ rows: 2 }],
+      }),
+    ]);
+  });
+
+  it('masks secret values in messages and data', () => {
+    const logger = createLogger({ LOG_FORMAT: 'json' });
+
+    logger.error(`Request with ${SECRET} failed`, new Error(`Bad ${SECRET}`), {
+      url: `https://api.example.com/?key=${SECRET}`,
+    });
+
+    expect(output()).not.toContain(SECRET);
+    expect(entries()[0]).toMatchObject({
+      msg: 'Request with ******** failed',
+      data: [
+        { name: 'Error', message: 'Bad ********' },
+        { url: 'https://api.example.com/?key=********' },
+      ],
+    });
+  });
+
+  it('masks the values of secret-looking keys', () => {
+    const logger = createLogger({ LOG_FORMAT: 'json' });
+
+    logger.info('Env', { AUTH_TOKEN: 'abc', PASSWORD: '', PORT: 3000 });
+
+    expect(entries()[0].data).toEqual([
+      { AUTH_TOKEN: '********', PASSWORD: '', PORT: 3000 },
+    ]);
+  });
+
+  it('skips a bare log() meant as spacing', () => {
+    createLogger({ LOG_FORMAT: 'json' }).log();
+
+    expect(write).not.toHaveBeenCalled();
+  });
+});
+
+describe('text output', () => {
+  it('writes a line per message, and preformatted lines as they are', () => {
+    const logger = createLogger({}).child('build');
+
+    logger.info('Compiled successfully.', { files: 2 });
+    logger.log();
+    logger.print('  a table\n  of two lines');
+
+    const lines = output().split('\n');
+    expect(lines[0]).toMatch(/\[build\].*Compiled successfully\..*files/);
+    expect(lines.slice(1)).toEqual(['', '  a table', '  of two lines', '']);
+  });
+
+  it('masks secret values', () => {
+    createLogger({}).warn(`Using ${SECRET}`);
+
+    expect(output()).toContain('Using ********');
+    expect(output()).not.toContain(SECRET);
+  });
+
+  it('leaves out messages below LOG_LEVEL', () => {
+    const logger = createLogger({ LOG_LEVEL: 'warn' });
+
+    logger.info('Compiling...');
+    logger.debug('Details');
+
+    expect(write).not.toHaveBeenCalled();
+    expect(logger.isLevelEnabled('error')).toBe(true);
+  });
+});
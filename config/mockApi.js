@@ -0,0 +1,343 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const chokidar = require('chokidar');
+const httpProxy = require('http-proxy');
+const chalk = require('react-dev-utils/chalk');
+const paths = require('./paths');
+const escapeRegExp = require('./escapeRegExp');
+const { info, warn, error } = require('./logger').child('mocks');
+
+// Mock API for the dev server, enabled with MOCK_API:
+//   mock    serve the handlers in mocks/, then recorded responses
+//   record  proxy MOCK_API_PREFIX (default /api/) requests to MOCK_API_TARGET
+//           (default: the "proxy" field of package.json) and save the
+//           responses in mocks/__recorded__
+//   replay  serve the recorded responses
+// Requests nothing answers go on to the regular proxy setup.
+//
+// A handler file in mocks/ maps "METHOD /path" to a response:
+//
+//   module.exports = {
+//     'GET /api/users': { fixture: 'users.json', delay: 300 },
+//     'GET /api/users/:id': (req, res) => res.json({ id: req.params.id }),
+//     'POST /api/users': { status: 201, body: { id: 1 } },
+//     'GET /api/flaky': { fixture: 'users.json', errorRate: 0.3 },
+//     'GET /api/down': { error: 'network' },
+//     'DELETE /api/users/:id': { status: 204, enabled: false },
+//   };
+//
+// Fixtures are read from mocks/fixtures on every request. `*` in a path
+// matches anything and ALL matches every method. Handler files reload when
+// they change. Routes are switched on and off while the server runs through
+//   GET  /__mocks          the routes and whether they are enabled
+//   POST /__mocks/routes   { "route": "GET /api/users", "enabled": false }
+
+const MODES = ['mock', 'record', 'replay'];
+const ADMIN_PATH = '/__mocks';
+const FIXTURES = 'fixtures';
+const RECORDINGS = '__recorded__';
+
+const fixturesFolder = path.join(paths.appMocks, FIXTURES);
+const recordingsFolder = path.join(paths.appMocks, RECORDINGS);
+
+function getMockApiMode() {
+  const mode = process.env.MOCK_API;
+  if (!mode || mode === 'off' || mode === 'false') return null;
+  if (!MODES.includes(mode)) {
+    throw new Error(
+      `Unknown MOCK_API mode "${mode}". Use one of: ${MODES.join(', ')}.`
+    );
+  }
+  return mode;
+}
+
+function compileRoute(key, definition, file) {
+  const match = /^([A-Z]+)\s+(\/\S*)$/.exec(key.trim());
+  if (!match) {
+    throw new Error(
+      `Invalid mock route "${key}" in ${file}. Use "METHOD /path".`
+    );
+  }
+
+  const [, method, pattern] = match;
+  const params = [];
+  const source = pattern
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') return '.*';
+      if (segment.startsWith(':')) {
+        params.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return escapeRegExp(segment);
+    })
+    .join('/');
+
+  return {
+    key: `${method} ${pattern}`,
+    method,
+    regex: new RegExp(`^${source}/?$`),
+    params,
+    file: path.relative(paths.appPath, file),
+    definition:
+      typeof definition === 'function' ? { handler: definition } : definition,
+  };
+}
+
+function loadRoutes() {
+  const files = [];
+  const collect = (folder) =>
+    fs.readdirSync(folder, { withFileTypes: true }).forEach((dirent) => {
+      const file = path.join(folder, dirent.name);
+      if (dirent.isDirectory()) {
+        if (file !== fixturesFolder && file !== recordingsFolder) {
+          collect(file);
+        }
+      } else if (dirent.name.endsWith('.js')) {
+        files.push(file);
+      }
+    });
+  if (fs.existsSync(paths.appMocks)) collect(paths.appMocks);
+
+  return files.reduce((routes, file) => {
+    delete require.cache[require.resolve(file)];
+    try {
+      const handlers = require(file);
+      return routes.concat(
+        Object.keys(handlers).map((key) =>
+          compileRoute(key, handlers[key], file)
+        )
+      );
+    } catch (err) {
+      error(`Could not load ${path.relative(paths.appPath, file)}`, err);
+      return routes;
+    }
+  }, []);
+}
+
+// null for a malformed escape such as `%E0%A4%A`.
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+function findRoute(routes, req) {
+  for (const route of routes) {
+    if (route.method !== 'ALL' && route.method !== req.method) continue;
+    const match = route.regex.exec(req.path);
+    if (!match) continue;
+
+    // A path that can't be decoded matches no route.
+    const values = match.slice(1).map(decodeParam);
+    if (values.includes(null)) continue;
+
+    req.params = route.params.reduce((params, name, index) => {
+      params[name] = values[index];
+      return params;
+    }, {});
+    return route;
+  }
+  return null;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function respond(definition, req, res, next) {
+  if (definition.delay) await sleep(definition.delay);
+
+  if (definition.error === 'network') {
+    req.socket.destroy();
+    return;
+  }
+  if (definition.errorRate && Math.random() < definition.errorRate) {
+    res.status(500).json({ error: 'Injected mock error' });
+    return;
+  }
+  if (definition.handler) {
+    definition.handler(req, res, next);
+    return;
+  }
+
+  const body = definition.fixture
+    ? fs.readJsonSync(path.join(fixturesFolder, definition.fixture))
+    : definition.body;
+  res.status(definition.status || 200).set(definition.headers || {});
+  if (body === undefined) res.end();
+  else res.json(body);
+}
+
+// One file per method, path and query string.
+function getRecordingFile(req) {
+  const name = `${req.method} ${req.path}`
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+  const query = req.originalUrl.split('?')[1];
+  const suffix = query
+    ? '.' + crypto.createHash('sha1').update(query).digest('hex').slice(0, 8)
+    : '';
+  return path.join(recordingsFolder, `${name}${suffix}.json`);
+}
+
+function replay(req, res) {
+  const file = getRecordingFile(req);
+  if (!fs.existsSync(file)) return false;
+
+  const { status, headers, body } = fs.readJsonSync(file);
+  res.status(status).set(headers);
+  if (typeof body === 'string') res.send(body);
+  else res.json(body);
+  return true;
+}
+
+function createRecorder(target) {
+  const proxy = httpProxy.createProxyServer({
+    target,
+    changeOrigin: true,
+    selfHandleResponse: true,
+  });
+
+  proxy.on('proxyRes', (proxyRes, req, res) => {
+    const chunks = [];
+    proxyRes.on('data', (chunk) => chunks.push(chunk));
+    proxyRes.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      res.writeHead(proxyRes.statusCode, proxyRes.headers);
+      res.end(raw);
+
+      const contentType = proxyRes.headers['content-type'] || '';
+      const text = raw.toString('utf8');
+      let body = text;
+      if (contentType.includes('json')) {
+        try {
+          body = JSON.parse(text);
+        } catch (e) {
+          // Keep the text as is.
+        }
+      }
+
+      const file = getRecordingFile(req);
+      fs.outputJsonSync(
+        file,
+        {
+          status: proxyRes.statusCode,
+          headers: contentType ? { 'content-type': contentType } : {},
+          body,
+        },
+        { spaces: 2 }
+      );
+      info(`Recorded ${req.method} ${req.originalUrl}`);
+    });
+  });
+
+  proxy.on('error', (err, req, res) => {
+    warn(`Could not proxy ${req.method} ${req.originalUrl} to ${target}`);
+    res.writeHead(502, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err.message }));
+  });
+
+  return (req, res) => {
+    // Recordings are stored as text.
+    req.headers['accept-encoding'] = 'identity';
+    proxy.web(req, res);
+  };
+}
+
+function createMockApiMiddleware(mode) {
+  const router = express.Router();
+  const prefix = process.env.MOCK_API_PREFIX || '/api/';
+  let routes = mode === 'mock' ? loadRoutes() : [];
+  // Route keys switched at runtime, kept across reloads.
+  const switched = new Map();
+
+  const isEnabled = (route) =>
+    switched.has(route.key)
+      ? switched.get(route.key)
+      : route.definition.enabled !== false;
+
+  router.get(ADMIN_PATH, (req, res) => {
+    res.json({
+      mode,
+      routes: routes.map((route) => ({
+        route: route.key,
+        file: route.file,
+        enabled: isEnabled(route),
+      })),
+    });
+  });
+
+  router.post(`${ADMIN_PATH}/routes`, express.json(), (req, res) => {
+    const { route: key, enabled } = req.body || {};
+    if (!routes.some((route) => route.key === key)) {
+      res.status(404).json({ error: `No mock route "${key}".` });
+      return;
+    }
+    switched.set(key, Boolean(enabled));
+    info(`${key} ${enabled ? 'enabled' : 'disabled'}`);
+    res.json({ route: key, enabled: Boolean(enabled) });
+  });
+
+  if (mode === 'mock') {
+    chokidar
+      .watch(paths.appMocks, { ignoreInitial: true, ignored: recordingsFolder })
+      .on('all', (event, file) => {
+        if (!file.endsWith('.js')) return;
+        routes = loadRoutes();
+        info(`Reloaded ${routes.length} mock route(s).`);
+      });
+
+    // The body is only read for a mock; other requests go on to the proxy
+    // with it unread.
+    const parseJson = express.json();
+    router.use((req, res, next) => {
+      const route = findRoute(routes, req);
+      if (route && isEnabled(route)) {
+        parseJson(req, res, (err) => {
+          if (err) return next(err);
+          respond(route.definition, req, res, next).catch(next);
+        });
+      } else if (!req.path.startsWith(prefix) || !replay(req, res)) {
+        next();
+      }
+    });
+  }
+
+  if (mode === 'replay') {
+    router.use((req, res, next) => {
+      if (!req.path.startsWith(prefix) || !replay(req, res)) next();
+    });
+  }
+
+  if (mode === 'record') {
+    const target =
+      process.env.MOCK_API_TARGET || require(paths.appPackageJson).proxy;
+    if (typeof target !== 'string') {
+      throw new Error(
+        'MOCK_API=record needs MOCK_API_TARGET or a "proxy" in package.json.'
+      );
+    }
+    const record = createRecorder(target);
+    router.use((req, res, next) =>
+      req.path.startsWith(prefix) ? record(req, res) : next()
+    );
+  }
+
+  info(
+    `Mock API in ${chalk.bold(mode)} mode` +
+      (mode === 'mock' ? ` with ${routes.length} route(s).` : '.')
+  );
+  return router;
+}
+
+module.exports = {
+  getMockApiMode,
+  compileRoute,
+  findRoute,
+  createMockApiMiddleware,
+};
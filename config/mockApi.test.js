@@ -0,0 +1,90 @@
+/** @jest-environment node */
+'use strict';
+
+const path = require('path');
+const paths = require('./paths');
+const { getMockApiMode, compileRoute, findRoute } = require('./mockApi');
+
+const file = path.join(paths.appMocks, 'users.js');
+
+describe('getMockApiMode', () => {
+  afterEach(() => {
+    delete process.env.MOCK_API;
+  });
+
+  it('is off by default', () => {
+    expect(getMockApiMode()).toBe(null);
+    process.env.MOCK_API = 'false';
+    expect(getMockApiMode()).toBe(null);
+  });
+
+  it('rejects unknown modes', () => {
+    process.env.MOCK_API = 'mock';
+    expect(getMockApiMode()).toBe('mock');
+    process.env.MOCK_API = 'fake';
+    expect(getMockApiMode).toThrow(
+      'Unknown MOCK_API mode "fake". Use one of: mock, record, replay.'
+    );
+  });
+});
+
+describe('compileRoute', () => {
+  it('wraps handler functions', () => {
+    const handler = () => {};
+    const route = compileRoute(' GET  /api/users ', handler, file);
+
+    expect(route).toMatchObject({
+      key: 'GET /api/users',
+      method: 'GET',
+      params: [],
+      file: path.join('mocks', 'users.js'),
+      definition: { handler },
+    });
+  });
+
+  it('rejects keys without a method and a path', () => {
+    expect(() => compileRoute('/api/users', {}, file)).toThrow(
+      'Invalid mock route "/api/users"'
+    );
+    expect(() => compileRoute('get /api/users', {}, file)).toThrow(
+      'Invalid mock route'
+    );
+  });
+});
+
+describe('findRoute', () => {
+  const routes = [
+    compileRoute('GET /api/users/:id', { body: 'user' }, file),
+    compileRoute('GET /api/users', { body: 'users' }, file),
+    compileRoute('ALL /api/files/*', { body: 'files' }, file),
+  ];
+  const find = (method, requestPath) => {
+    const req = { method, path: requestPath };
+    const route = findRoute(routes, req);
+    return route && [route.definition.body, req.params];
+  };
+
+  it('matches the method and the path, with a trailing slash', () => {
+    expect(find('GET', '/api/users')).toEqual(['users', {}]);
+    expect(find('GET', '/api/users/')).toEqual(['users', {}]);
+    expect(find('POST', '/api/users')).toBe(null);
+    expect(find('GET', '/api/users.json')).toBe(null);
+  });
+
+  it('sets the decoded path parameters', () => {
+    expect(find('GET', '/api/users/jane%20doe')).toEqual([
+      'user',
+      { id: 'jane doe' },
+    ]);
+    expect(find('GET', '/api/users/1/posts')).toBe(null);
+  });
+
+  it('misses on a malformed escape instead of throwing', () => {
+    expect(find('GET', '/api/users/%E0%A4%A')).toBe(null);
+  });
+
+  it('matches anything for * and every method for ALL', () => {
+    expect(find('DELETE', '/api/files/a/b.txt')).toEqual(['files', {}]);
+    expect(find('GET', '/api/filesystem')).toBe(null);
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const fs = require('fs');
+const chalk = require('react-dev-utils/chalk');
+const paths = require('./paths');
+const { warn } = require('./logger');
+
+const isPlainObject = (value) =>
+  value != null && typeof value === 'object' && !Array.isArray(value);
+
+// Fields understood in `boilerplate.config.js`. They are applied on top of the
+// generated webpack config in this order:
+//   1. `alias`   - merged over the built-in `resolve.alias` (`src`)
+//   2. `env`     - extra client variables, see `getClientEnvironment`
+//   3. `rules`   - tried before the built-in asset and style rules
+//   4. `plugins` - appended after the built-in plugins
+//   5. `webpack` - `(config, context) => config`, runs last on the result
+// Feature options:
+//   `serviceWorker` - runtime caching routes, see `./serviceWorker.js`
+//   `budgets`       - bundle-size budgets, see `./budgets.js`
+//   `assets`        - asset transforms and precompression, see
+//                     `./assetPipeline.js`
+//   `integrity`     - Subresource Integrity hashes (`false` turns them off),
+//                     see `./subresourceIntegrity.js`
+//   `prerender`     - routes rendered to HTML at build time, see
+//                     `./prerender.js`
+// `modes` holds fields by mode name (`--mode`, see `./env.js`); those of the
+// current mode replace the fields above.
+const FIELD_CHECKS = {
+  alias: isPlainObject,
+  env: isPlainObject,
+  rules: Array.isArray,
+  plugins: Array.isArray,
+  webpack: (value) => typeof value === 'function',
+  serviceWorker: isPlainObject,
+  budgets: isPlainObject,
+  assets: isPlainObject,
+  integrity: (value) => value === false || isPlainObject(value),
+  prerender: isPlainObject,
+};
+
+const KNOWN_FIELDS = Object.keys(FIELD_CHECKS);
+
+// Load the optional project-level override file. It may export an object or
+// a function of `{ mode, appMode, paths }` returning one.
+function loadOverrides(context) {
+  if (!fs.existsSync(paths.appConfig)) return {};
+
+  const appMode = process.env.APP_MODE;
+  let overrides = require(paths.appConfig);
+  if (typeof overrides === 'function') {
+    overrides = overrides({ appMode, ...context });
+  }
+
+  if (!isPlainObject(overrides)) {
+    throw new Error(
+      `${chalk.yellow(
+        paths.appConfig
+      )} must export an object or a function returning an object.`
+    );
+  }
+
+  const { modes, ...fields } = overrides;
+  const validModes =
+    isPlainObject(modes) && Object.values(modes).every(isPlainObject);
+  if (modes !== undefined && !validModes) {
+    throw new Error(
+      `Field ${chalk.cyan('modes')} in ${chalk.yellow(
+        paths.appConfig
+      )} has the wrong type.`
+    );
+  }
+  overrides = { ...fields, ...(modes && modes[appMode]) };
+
+  Object.keys(overrides).forEach((field) => {
+    if (!KNOWN_FIELDS.includes(field)) {
+      warn(`Unknown field "${field}" in boilerplate.config.js is ignored.`);
+      return;
+    }
+    if (!FIELD_CHECKS[field](overrides[field])) {
+      throw new Error(
+        `Field ${chalk.cyan(field)} in ${chalk.yellow(
+          paths.appConfig
+        )} has the wrong type.`
+      );
+    }
+  });
+
+  return overrides;
+}
+
+module.exports = { loadOverrides, KNOWN_FIELDS };
@@ -0,0 +1,94 @@
+/** @jest-environment node */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'overrides-'));
+const mockPaths = {};
+
+jest.mock('./paths', () => mockPaths);
+jest.mock('./logger', () => ({ warn: jest.fn() }));
+
+const { warn } = require('./logger');
+
+// Jest caches required files by path, so every config gets a file of its own.
+let configCount = 0;
+function loadOverrides(source, context = { mode: 'production' }) {
+  mockPaths.appConfig = path.join(dir, `${++configCount}.config.js`);
+  fs.writeFileSync(mockPaths.appConfig, source);
+  return require('./overrides').loadOverrides(context);
+}
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true });
+});
+
+describe('loadOverrides', () => {
+  it('returns no overrides without a config file', () => {
+    mockPaths.appConfig = path.join(dir, 'missing.config.js');
+    const { loadOverrides } = require('./overrides');
+    expect(loadOverrides({ mode: 'production' })).toEqual({});
+  });
+
+  it('returns the exported object', () => {
+    const overrides = loadOverrides(
+      `module.exports = { alias: { lib: 'lib' } };`
+    );
+    expect(overrides).toEqual({ alias: { lib: 'lib' } });
+  });
+
+  it('calls an exported function with the context', () => {
+    const overrides = loadOverrides(
+      `module.exports = ({ mode }) => ({ env: { MODE: mode } });`,
+      { mode: 'development' }
+    );
+    expect(overrides).toEqual({ env: { MODE: 'development' } });
+  });
+
+  it('rejects a config that is not an object', () => {
+    expect(() => loadOverrides(`module.exports = [];`)).toThrow(
+      'must export an object or a function returning an object.'
+    );
+  });
+
+  it('rejects a field of the wrong type', () => {
+    expect(() => loadOverrides(`module.exports = { rules: {} };`)).toThrow(
+      /rules.* has the wrong type/
+    );
+  });
+
+  it('applies the fields of the current mode', () => {
+    const { APP_MODE } = process.env;
+    process.env.APP_MODE = 'staging';
+    try {
+      const overrides = loadOverrides(
+        `module.exports = {
+          alias: { lib: 'lib' },
+          env: { API: 'prod' },
+          modes: { staging: { env: { API: 'staging' } }, qa: { alias: {} } },
+        };`
+      );
+      expect(overrides).toEqual({
+        alias: { lib: 'lib' },
+        env: { API: 'staging' },
+      });
+    } finally {
+      process.env.APP_MODE = APP_MODE;
+    }
+  });
+
+  it('rejects modes of the wrong type', () => {
+    expect(() =>
+      loadOverrides(`module.exports = { modes: { staging: [] } };`)
+    ).toThrow(/modes.* has the wrong type/);
+  });
+
+  it('warns about unknown fields', () => {
+    loadOverrides(`module.exports = { aliases: {} };`);
+    expect(warn).toHaveBeenCalledWith(
+      'Unknown field "aliases" in boilerplate.config.js is ignored.'
+    );
+  });
+});
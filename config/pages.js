@@ -0,0 +1,90 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const paths = require('./paths');
+const escapeRegExp = require('./escapeRegExp');
+
+// Every `src/pages/<name>/index.(tsx|ts|jsx|js)` is its own entry with its own
+// HTML page:
+//
+//   src/pages/index/index.tsx -> index.html, serves /
+//   src/pages/admin/index.tsx -> admin.html, serves /admin and /admin/*
+//
+// A page can bring its template as `src/pages/<name>/index.html`, else it
+// uses `public/index.html`. Without `src/pages` the app is a single page
+// built from `src/index.tsx`, as before.
+
+const ENTRY_EXTENSIONS = ['tsx', 'ts', 'jsx', 'js'];
+const ROOT_PAGE = 'index';
+
+function findEntry(folder) {
+  return ENTRY_EXTENSIONS.map((ext) => path.join(folder, `index.${ext}`)).find(
+    (file) => fs.existsSync(file)
+  );
+}
+
+function createPage(name, folder) {
+  const template = path.join(folder, 'index.html');
+  const isRoot = name === ROOT_PAGE;
+
+  return {
+    name,
+    entry: findEntry(folder),
+    template: fs.existsSync(template) ? template : paths.appHtml,
+    filename: `${name}.html`,
+    // Relative to the public path; the root page owns everything else.
+    urlPrefix: isRoot ? '' : `/${name}`,
+  };
+}
+
+function getPages() {
+  if (!fs.existsSync(paths.appPages)) {
+    return [
+      {
+        name: 'main',
+        entry: paths.appIndexJs,
+        template: paths.appHtml,
+        filename: 'index.html',
+        urlPrefix: '',
+      },
+    ];
+  }
+
+  const pages = fs
+    .readdirSync(paths.appPages, { withFileTypes: true })
+    .filter((dirent) => dirent.isDirectory())
+    .map((dirent) =>
+      createPage(dirent.name, path.join(paths.appPages, dirent.name))
+    )
+    .filter((page) => page.entry);
+
+  if (!pages.length) {
+    throw new Error(
+      `${paths.appPages} has no pages. Add a src/pages/<name>/index.tsx.`
+    );
+  }
+
+  // Longest URL prefix first, so it wins over the pages it's nested in.
+  return pages.sort((a, b) => b.urlPrefix.length - a.urlPrefix.length);
+}
+
+// `historyApiFallback` rewrites sending each page's URLs to its HTML file.
+// Pages without a prefix are left to the fallback `index`.
+function getHistoryRewrites(pages, publicUrlOrPath) {
+  const base = publicUrlOrPath.replace(/\/$/, '');
+
+  return pages
+    .filter((page) => page.urlPrefix)
+    .map((page) => ({
+      from: new RegExp(`^${escapeRegExp(base + page.urlPrefix)}(/|$)`),
+      to: `${base}/${page.filename}`,
+    }));
+}
+
+// The page served for URLs no other page owns.
+function getFallbackPage(pages) {
+  return pages.find((page) => !page.urlPrefix) || pages[pages.length - 1];
+}
+
+module.exports = { getPages, getHistoryRewrites, getFallbackPage };
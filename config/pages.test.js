@@ -0,0 +1,95 @@
+/** @jest-environment node */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const mockPaths = {};
+jest.mock('./paths', () => mockPaths);
+
+const { getPages, getHistoryRewrites, getFallbackPage } = require('./pages');
+
+const appPath = fs.mkdtempSync(path.join(os.tmpdir(), 'pages-'));
+const resolveApp = (relativePath) => path.join(appPath, relativePath);
+
+beforeEach(() => {
+  Object.assign(mockPaths, {
+    appPages: resolveApp('src/pages'),
+    appIndexJs: resolveApp('src/index.tsx'),
+    appHtml: resolveApp('public/index.html'),
+  });
+  fs.emptyDirSync(appPath);
+});
+
+afterAll(() => {
+  fs.removeSync(appPath);
+});
+
+describe('getPages', () => {
+  it('builds a single page without src/pages', () => {
+    expect(getPages()).toEqual([
+      {
+        name: 'main',
+        entry: mockPaths.appIndexJs,
+        template: mockPaths.appHtml,
+        filename: 'index.html',
+        urlPrefix: '',
+      },
+    ]);
+  });
+
+  it('finds a page per folder with an index file', () => {
+    fs.outputFileSync(resolveApp('src/pages/index/index.tsx'), '');
+    fs.outputFileSync(resolveApp('src/pages/admin/index.js'), '');
+    fs.outputFileSync(resolveApp('src/pages/admin/index.html'), '');
+    fs.outputFileSync(resolveApp('src/pages/components/Button.tsx'), '');
+
+    expect(getPages()).toEqual([
+      {
+        name: 'admin',
+        entry: resolveApp('src/pages/admin/index.js'),
+        template: resolveApp('src/pages/admin/index.html'),
+        filename: 'admin.html',
+        urlPrefix: '/admin',
+      },
+      {
+        name: 'index',
+        entry: resolveApp('src/pages/index/index.tsx'),
+        template: mockPaths.appHtml,
+        filename: 'index.html',
+        urlPrefix: '',
+      },
+    ]);
+  });
+
+  it('rejects a src/pages folder without pages', () => {
+    fs.ensureDirSync(resolveApp('src/pages/components'));
+
+    expect(getPages).toThrow('has no pages');
+  });
+});
+
+const pages = [
+  { filename: 'admin.html', urlPrefix: '/admin' },
+  { filename: 'index.html', urlPrefix: '' },
+];
+
+describe('getHistoryRewrites', () => {
+  it("sends each page's URLs to its HTML file", () => {
+    const [rewrite, ...rest] = getHistoryRewrites(pages, '/app/');
+
+    expect(rest).toEqual([]);
+    expect(rewrite.to).toBe('/app/admin.html');
+    expect(rewrite.from.test('/app/admin')).toBe(true);
+    expect(rewrite.from.test('/app/admin/users/1')).toBe(true);
+    expect(rewrite.from.test('/app/administrator')).toBe(false);
+  });
+});
+
+describe('getFallbackPage', () => {
+  it('returns the page without a prefix', () => {
+    expect(getFallbackPage(pages)).toBe(pages[1]);
+    expect(getFallbackPage(pages.slice(0, 1))).toBe(pages[0]);
+  });
+});
@@ -55,19 +55,32 @@ module.exports = {
   dotenv: resolveApp('.env'),
   appPath: resolveApp('.'),
   appBuild: resolveApp('build'),
+  appBudgetReport: resolveApp('budget-report.json'),
+  appSizeReports: resolveApp('bundle-size'),
   appPublic: resolveApp('public'),
   appHtml: resolveApp('public/index.html'),
   appIndexJs: resolveModule(resolveApp, 'src/index'),
+  appMountServer: resolveModule(resolveApp, 'src/mount.server'),
+  appPages: resolveApp('src/pages'),
+  appRoutes: resolveApp('src/routes'),
+  appRoutesModule: resolveApp('src/routes.generated.tsx'),
   appPackageJson: resolveApp('package.json'),
+  appConfig: resolveApp('boilerplate.config.js'),
+  appEnvSchema: resolveApp('env.schema.js'),
+  appEnvModule: resolveApp('src/env.generated.ts'),
   appSrc: resolveApp('src'),
   appTsConfig: resolveApp('tsconfig.json'),
   appJsConfig: resolveApp('jsconfig.json'),
   yarnLockFile: resolveApp('yarn.lock'),
   testsSetup: resolveModule(resolveApp, 'src/setupTests'),
   proxySetup: resolveApp('src/setupProxy.js'),
+  appMocks: resolveApp('mocks'),
   appNodeModules: resolveApp('node_modules'),
+  appLocalCertificates: resolveApp('node_modules/.cache/local-https'),
+  appPrerenderCache: resolveApp('node_modules/.cache/prerender'),
+  appWebpackCache: resolveApp('node_modules/.cache/webpack'),
   swSrc: resolveModule(resolveApp, 'src/service-worker'),
   publicUrlOrPath,
 };
 
-// module.exports.moduleFileExtensions = moduleFileExtensions;
+module.exports.moduleFileExtensions = moduleFileExtensions;
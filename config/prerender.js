@@ -0,0 +1,160 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const webpack = require('webpack');
+const chalk = require('react-dev-utils/chalk');
+const paths = require('./paths');
+const escapeRegExp = require('./escapeRegExp');
+const createWebpackConfig = require('./webpack.config');
+const { ENCODINGS } = require('./assetPipeline');
+const { info, log } = require('./logger').child('prerender');
+
+// Build-time prerendering of the routes listed in `boilerplate.config.js`:
+//
+//   prerender: { routes: ['/', '/pricing', '/about'] }
+//
+// After the build, the pages are compiled again for Node (`target: 'node'` in
+// `./webpack.config.js`) and every route is rendered with ReactDOMServer into
+// a copy of its page's HTML, written to build/<route>/index.html. The title
+// and meta tags come from `<Head>` in `src/head.tsx`. Pages start with
+// `mount()` from `src/mount.tsx`, which hydrates that markup. Code that runs
+// while a page is imported or rendered can't use `window` or `document`.
+
+const escapeHtml = (string) =>
+  String(string).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// The routes with the page serving each of them.
+function getPrerenderRoutes(overrides, pages) {
+  const { routes = [] } = overrides.prerender || {};
+
+  return routes.map((route) => {
+    if (typeof route !== 'string' || !route.startsWith('/')) {
+      throw new Error(`Prerender route "${route}" must start with "/".`);
+    }
+    // Pages come longest URL prefix first.
+    const page = pages.find(
+      ({ urlPrefix }) =>
+        route === urlPrefix || route.startsWith(`${urlPrefix}/`)
+    );
+    if (!page) {
+      throw new Error(`No page serves the prerender route "${route}".`);
+    }
+    return { route, page };
+  });
+}
+
+function compile(overrides) {
+  fs.emptyDirSync(paths.appPrerenderCache);
+  const compiler = webpack(
+    createWebpackConfig({ mode: 'production', overrides, target: 'node' })
+  );
+
+  return new Promise((resolve, reject) => {
+    compiler.run((err, stats) => {
+      if (err) return reject(err);
+      if (stats.hasErrors()) {
+        const [first] = stats.toJson({ all: false, errors: true }).errors;
+        return reject(new Error(`Prerendering failed.\n${first.message}`));
+      }
+      resolve();
+    });
+  });
+}
+
+function insertHeadTags(html, { title, meta = {} }) {
+  const tags = [];
+
+  if (title !== undefined) {
+    const titleTag = `<title>${escapeHtml(title)}</title>`;
+    if (/<title>[\s\S]*?<\/title>/.test(html)) {
+      html = html.replace(/<title>[\s\S]*?<\/title>/, () => titleTag);
+    } else {
+      tags.push(titleTag);
+    }
+  }
+
+  Object.keys(meta).forEach((name) => {
+    const existing = new RegExp(`<meta name="${escapeRegExp(name)}"[^>]*>`);
+    html = html.replace(existing, '');
+    tags.push(
+      `<meta name="${escapeHtml(name)}" content="${escapeHtml(meta[name])}">`
+    );
+  });
+
+  return html.replace('</head>', () => `${tags.join('')}</head>`);
+}
+
+// Put the markup in the (empty) container and mark it with the URL it was
+// rendered for.
+function insertMarkup(html, { containerId, url, markup }) {
+  const container = new RegExp(
+    `(<([a-z]+)[^>]*\\sid="${escapeRegExp(containerId)}"[^>]*)>\\s*</\\2>`
+  );
+  if (!container.test(html)) {
+    throw new Error(`The page has no empty element with id "${containerId}".`);
+  }
+  return html.replace(
+    container,
+    (match, open, tagName) =>
+      `${open} data-prerendered="${escapeHtml(url)}">${markup}</${tagName}>`
+  );
+}
+
+// Prerender the configured routes into `paths.appBuild`, which must hold the
+// finished build.
+async function prerender(overrides, pages) {
+  const routes = getPrerenderRoutes(overrides, pages);
+  if (!routes.length) return;
+
+  info(`Prerendering ${routes.length} route(s)...`);
+  await compile(overrides);
+
+  // Read the page templates before any of them is overwritten: "/" is
+  // written over index.html.
+  const templates = new Map();
+  routes.forEach(({ page }) => {
+    if (templates.has(page)) return;
+    const file = path.join(paths.appBuild, page.filename);
+    templates.set(page, {
+      html: fs.readFileSync(file, 'utf8'),
+      // Precompressed copies made by the asset pipeline are made again.
+      encodings: Object.values(ENCODINGS).filter(({ extension }) =>
+        fs.existsSync(file + extension)
+      ),
+    });
+  });
+
+  const basePath = new URL(paths.publicUrlOrPath, 'http://localhost').pathname;
+
+  for (const { route, page } of routes) {
+    const { renderPage } = require(path.join(
+      paths.appPrerenderCache,
+      `${page.name}.js`
+    ));
+    const url = basePath + route.slice(1);
+    const { html: markup, head, containerId } = await renderPage(url);
+    const template = templates.get(page);
+
+    const html = insertMarkup(insertHeadTags(template.html, head), {
+      containerId,
+      url,
+      markup,
+    });
+    const file = path.join(paths.appBuild, route, 'index.html');
+    fs.outputFileSync(file, html);
+    for (const { extension, compress } of template.encodings) {
+      fs.writeFileSync(file + extension, await compress(html));
+    }
+
+    log(`  ${route} ${chalk.dim('->')} ${path.relative(paths.appPath, file)}`);
+  }
+  log();
+}
+
+module.exports = {
+  getPrerenderRoutes,
+  insertHeadTags,
+  insertMarkup,
+  prerender,
+};
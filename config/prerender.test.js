@@ -0,0 +1,92 @@
+/** @jest-environment node */
+'use strict';
+
+const {
+  getPrerenderRoutes,
+  insertHeadTags,
+  insertMarkup,
+} = require('./prerender');
+
+const template =
+  '<html><head><title>App</title>' +
+  '<meta name="description" content="An app"></head>' +
+  '<body><div id="root"></div></body></html>';
+
+describe('getPrerenderRoutes', () => {
+  const admin = { name: 'admin', urlPrefix: '/admin' };
+  const index = { name: 'index', urlPrefix: '' };
+  const pages = [admin, index];
+
+  it('finds the page serving each route', () => {
+    const prerender = {
+      routes: ['/', '/admin', '/admin/users', '/administrator'],
+    };
+    const routes = getPrerenderRoutes({ prerender }, pages);
+
+    expect(routes.map(({ route, page }) => [route, page.name])).toEqual([
+      ['/', 'index'],
+      ['/admin', 'admin'],
+      ['/admin/users', 'admin'],
+      ['/administrator', 'index'],
+    ]);
+  });
+
+  it('has no routes by default', () => {
+    expect(getPrerenderRoutes({}, pages)).toEqual([]);
+  });
+
+  it('rejects relative routes and routes no page serves', () => {
+    expect(() =>
+      getPrerenderRoutes({ prerender: { routes: ['pricing'] } }, pages)
+    ).toThrow('Prerender route "pricing" must start with "/".');
+    expect(() =>
+      getPrerenderRoutes({ prerender: { routes: ['/pricing'] } }, [admin])
+    ).toThrow('No page serves the prerender route "/pricing".');
+  });
+});
+
+describe('insertHeadTags', () => {
+  it('replaces the title and the meta tags of the template', () => {
+    const html = insertHeadTags(template, {
+      title: 'Pricing & plans',
+      meta: { description: 'What it "costs"', robots: 'noindex' },
+    });
+
+    expect(html).toBe(
+      '<html><head><title>Pricing &#38; plans</title>' +
+        '<meta name="description" content="What it &#34;costs&#34;">' +
+        '<meta name="robots" content="noindex"></head>' +
+        '<body><div id="root"></div></body></html>'
+    );
+  });
+
+  it('adds a title to templates without one', () => {
+    expect(insertHeadTags('<head></head>', { title: '$& $1' })).toBe(
+      '<head><title>$&#38; $1</title></head>'
+    );
+  });
+
+  it('leaves the template alone without tags', () => {
+    expect(insertHeadTags(template, {})).toBe(template);
+  });
+});
+
+describe('insertMarkup', () => {
+  it('fills the container and marks it with the URL', () => {
+    const html = insertMarkup(template, {
+      containerId: 'root',
+      url: '/pricing',
+      markup: '<h1>$&</h1>',
+    });
+
+    expect(html).toContain(
+      '<div id="root" data-prerendered="/pricing"><h1>$&</h1></div>'
+    );
+  });
+
+  it('requires an empty container', () => {
+    expect(() =>
+      insertMarkup(template, { containerId: 'app', url: '/', markup: '' })
+    ).toThrow('The page has no empty element with id "app".');
+  });
+});
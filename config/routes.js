@@ -0,0 +1,234 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { WebpackError } = require('webpack');
+const paths = require('./paths');
+const writeIfChanged = require('./writeIfChanged');
+
+// File-system routes. Every module in `src/routes` is a route, loaded in its
+// own chunk:
+//
+//   src/routes/index.tsx           /
+//   src/routes/about.tsx           /about
+//   src/routes/users/index.tsx     /users
+//   src/routes/users/[id].tsx      /users/:id
+//   src/routes/docs/[...path].tsx  /docs/* (the rest of the URL as `path`)
+//
+// Modules starting with `_` aren't routes:
+//   _layout.tsx   wraps the routes of its folder and subfolders, inside the
+//                 layouts of the folders above
+//   _loading.tsx  shown while a route loads
+//   _error.tsx    shown when a route fails to load or render, with `error`
+//                 and `retry` props
+//   _404.tsx      in `src/routes` itself, shown when no route matches
+// `_loading` and `_error` also apply to the subfolders without their own.
+//
+// They are compiled into `src/routes.generated.tsx`, which exports `Router`,
+// `Link`, `href`, `navigate` and `useParams` typed for these routes (see
+// `src/router.tsx`). The build writes it, and the dev server rewrites it when
+// routes are added or removed.
+
+const EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js'];
+const NOT_ROUTES = /\.(test|spec|d)$/;
+const PLUGIN_NAME = 'RoutesPlugin';
+
+// Static segments win over params, params over the rest of the URL.
+const segmentRank = (segment) =>
+  segment.startsWith('*') ? 0 : segment.startsWith(':') ? 1 : 2;
+
+function toRoutePath(relative) {
+  const segments = relative
+    .split('/')
+    .map((segment) =>
+      segment
+        .replace(/^\[\.\.\.(\w+)\]$/, '*$1')
+        .replace(/^\[(\w+)\]$/, ':$1')
+    );
+  if (segments[segments.length - 1] === 'index') segments.pop();
+  return `/${segments.join('/')}`;
+}
+
+function compareRoutes(a, b) {
+  const segmentsA = a.path.split('/');
+  const segmentsB = b.path.split('/');
+  for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+    const rank = segmentRank(segmentsB[i]) - segmentRank(segmentsA[i]);
+    if (rank) return rank;
+  }
+  return segmentsB.length - segmentsA.length || a.path.localeCompare(b.path);
+}
+
+function scanFolder(folder, inherited, routes) {
+  const entries = fs
+    .readdirSync(folder, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const modules = entries
+    .filter(
+      (dirent) =>
+        dirent.isFile() && EXTENSIONS.includes(path.extname(dirent.name))
+    )
+    .map((dirent) => path.basename(dirent.name, path.extname(dirent.name)))
+    .filter((name) => !NOT_ROUTES.test(name));
+  const special = (name) =>
+    modules.includes(name) ? path.join(folder, name) : undefined;
+
+  const layout = special('_layout');
+  const scope = {
+    layouts: layout ? [...inherited.layouts, layout] : inherited.layouts,
+    loading: special('_loading') || inherited.loading,
+    error: special('_error') || inherited.error,
+  };
+
+  modules
+    .filter((name) => !name.startsWith('_'))
+    .forEach((name) => {
+      const file = path.join(folder, name);
+      const relative = path.relative(paths.appRoutes, file);
+      routes.push({
+        path: toRoutePath(relative.replace(/\\/g, '/')),
+        file,
+        ...scope,
+      });
+    });
+
+  entries
+    .filter((dirent) => dirent.isDirectory() && !dirent.name.startsWith('_'))
+    .forEach((dirent) =>
+      scanFolder(path.join(folder, dirent.name), scope, routes)
+    );
+}
+
+function getRoutes() {
+  const routes = [];
+  scanFolder(paths.appRoutes, { layouts: [] }, routes);
+
+  const seen = new Map();
+  routes.forEach((route) => {
+    if (seen.has(route.path)) {
+      throw new Error(
+        `${path.relative(paths.appPath, seen.get(route.path))} and ` +
+          `${path.relative(paths.appPath, route.file)} are both the route ` +
+          `${route.path}.`
+      );
+    }
+    seen.set(route.path, route.file);
+  });
+
+  return routes.sort(compareRoutes);
+}
+
+function renderRoutesModule(routes) {
+  const folder = path.dirname(paths.appRoutesModule);
+  const importPath = (file) =>
+    `./${path.relative(folder, file).replace(/\\/g, '/')}`;
+
+  // One import per layout, loading and error module.
+  const imports = new Map();
+  const counts = { Layout: 0, Loading: 0, Error: 0 };
+  const importName = (file, kind) => {
+    if (!imports.has(file)) imports.set(file, `${kind}${counts[kind]++}`);
+    return imports.get(file);
+  };
+
+  const notFoundFile = EXTENSIONS.some((ext) =>
+    fs.existsSync(path.join(paths.appRoutes, `_404${ext}`))
+  )
+    ? path.join(paths.appRoutes, '_404')
+    : null;
+
+  const definitions = routes.map((route) => {
+    const chunkName = `route-${route.path.slice(1) || 'index'}`
+      .replace(/\W+/g, '-')
+      .replace(/-$/, '');
+    const layouts = route.layouts.map((file) => importName(file, 'Layout'));
+    const fields = [
+      `path: '${route.path}'`,
+      `load: () =>\n        import(/* webpackChunkName: "${chunkName}" */ ` +
+        `'${importPath(route.file)}')`,
+      `layouts: [${layouts.join(', ')}]`,
+      route.loading && `loading: ${importName(route.loading, 'Loading')}`,
+      route.error && `error: ${importName(route.error, 'Error')}`,
+    ].filter(Boolean);
+    return ['    {', ...fields.map((field) => `      ${field},`), '    },'];
+  });
+
+  const params = routes.map((route) => {
+    const names = route.path
+      .split('/')
+      .filter((segment) => /^[:*]/.test(segment))
+      .map((segment) => `${segment.slice(1)}: string`);
+    const type = names.length
+      ? `{ ${names.join('; ')} }`
+      : 'Record<never, never>';
+    return `  '${route.path}': ${type};`;
+  });
+
+  return [
+    '// Generated from src/routes by `npm run dev` and `npm run build`.',
+    '// Do not edit, change the files in src/routes instead.',
+    '',
+    "import { createRouter } from './router';",
+    ...[...imports].map(
+      ([file, name]) => `import ${name} from '${importPath(file)}';`
+    ),
+    notFoundFile && `import NotFound from '${importPath(notFoundFile)}';`,
+    '',
+    'export type RouteParams = {',
+    ...params,
+    '};',
+    '',
+    'export type RoutePath = keyof RouteParams;',
+    '',
+    'export const {',
+    '  Router,',
+    '  Link,',
+    '  href,',
+    '  navigate,',
+    '  useParams,',
+    '} = createRouter<RouteParams>(',
+    '  [',
+    ...[].concat(...definitions),
+    '  ],',
+    notFoundFile ? '  NotFound' : '  undefined',
+    ');',
+    '',
+  ]
+    .filter((line) => typeof line === 'string')
+    .join('\n');
+}
+
+function writeRoutesModule() {
+  writeIfChanged(paths.appRoutesModule, renderRoutesModule(getRoutes()));
+}
+
+// Writes `src/routes.generated.tsx` before every (re)build, and watches
+// `src/routes` for added and removed routes.
+class RoutesPlugin {
+  apply(compiler) {
+    let failure = null;
+    const generate = () => {
+      try {
+        writeRoutesModule();
+        failure = null;
+      } catch (err) {
+        failure = err;
+      }
+    };
+
+    compiler.hooks.beforeRun.tap(PLUGIN_NAME, generate);
+    compiler.hooks.watchRun.tap(PLUGIN_NAME, generate);
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      compilation.contextDependencies.add(paths.appRoutes);
+      if (failure) compilation.errors.push(new WebpackError(failure.message));
+    });
+  }
+}
+
+module.exports = {
+  toRoutePath,
+  compareRoutes,
+  getRoutes,
+  writeRoutesModule,
+  RoutesPlugin,
+};
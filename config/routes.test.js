@@ -0,0 +1,119 @@
+/** @jest-environment node */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const appPath = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+const mockPaths = { appPath, appRoutes: path.join(appPath, 'src/routes') };
+jest.mock('./paths', () => mockPaths);
+
+const { toRoutePath, compareRoutes, getRoutes } = require('./routes');
+
+const writeRoutes = (files) => {
+  fs.emptyDirSync(mockPaths.appRoutes);
+  files.forEach((file) =>
+    fs.outputFileSync(path.join(mockPaths.appRoutes, file), '')
+  );
+};
+const routeFile = (file) => path.join(mockPaths.appRoutes, file);
+
+afterAll(() => {
+  fs.removeSync(appPath);
+});
+
+describe('toRoutePath', () => {
+  it('turns file paths into route paths', () => {
+    expect(toRoutePath('index')).toBe('/');
+    expect(toRoutePath('about')).toBe('/about');
+    expect(toRoutePath('users/index')).toBe('/users');
+    expect(toRoutePath('users/[id]')).toBe('/users/:id');
+    expect(toRoutePath('users/[id]/posts')).toBe('/users/:id/posts');
+    expect(toRoutePath('docs/[...path]')).toBe('/docs/*path');
+  });
+});
+
+describe('compareRoutes', () => {
+  const sort = (routePaths) =>
+    routePaths
+      .map((routePath) => ({ path: routePath }))
+      .sort(compareRoutes)
+      .map((route) => route.path);
+
+  it('puts static segments before params, params before the rest', () => {
+    expect(sort(['/users/*rest', '/users/:id', '/users/new'])).toEqual([
+      '/users/new',
+      '/users/:id',
+      '/users/*rest',
+    ]);
+  });
+
+  it('puts longer paths first, then sorts by name', () => {
+    expect(sort(['/b', '/a', '/a/b', '/:id'])).toEqual([
+      '/a/b',
+      '/a',
+      '/b',
+      '/:id',
+    ]);
+  });
+});
+
+describe('getRoutes', () => {
+  it('finds the routes with their layouts, loading and error modules', () => {
+    writeRoutes([
+      'index.tsx',
+      '_layout.tsx',
+      '_loading.tsx',
+      '_404.tsx',
+      'about.tsx',
+      'about.test.tsx',
+      'users/_layout.tsx',
+      'users/_error.tsx',
+      'users/index.tsx',
+      'users/[id].tsx',
+      '_components/Button.tsx',
+    ]);
+
+    expect(getRoutes()).toEqual([
+      {
+        path: '/users/:id',
+        file: routeFile('users/[id]'),
+        layouts: [routeFile('_layout'), routeFile('users/_layout')],
+        loading: routeFile('_loading'),
+        error: routeFile('users/_error'),
+      },
+      {
+        path: '/',
+        file: routeFile('index'),
+        layouts: [routeFile('_layout')],
+        loading: routeFile('_loading'),
+        error: undefined,
+      },
+      {
+        path: '/about',
+        file: routeFile('about'),
+        layouts: [routeFile('_layout')],
+        loading: routeFile('_loading'),
+        error: undefined,
+      },
+      {
+        path: '/users',
+        file: routeFile('users/index'),
+        layouts: [routeFile('_layout'), routeFile('users/_layout')],
+        loading: routeFile('_loading'),
+        error: routeFile('users/_error'),
+      },
+    ]);
+  });
+
+  it('rejects two modules for the same route', () => {
+    writeRoutes(['users.tsx', 'users/index.tsx']);
+
+    expect(getRoutes).toThrow(
+      `${path.join('src', 'routes', 'users')} and ` +
+        `${path.join('src', 'routes', 'users', 'index')} are both the ` +
+        'route /users.'
+    );
+  });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const { Compilation, sources } = require('webpack');
+const paths = require('./paths');
+
+// Opt-in runtime configuration, enabled with RUNTIME_CONFIG=true. The client
+// variables are then also read from `env-config.js`, loaded by every page
+// before the bundles:
+//
+//   window.__ENV__ = {"REACT_APP_API_URL":"https://api.example.com"};
+//
+// The build emits it with the build-time values. `npm run env-config`
+// rewrites it from the environment of the deploy or the container start, so
+// one build can be promoted through environments. The dev server generates
+// it on every request. Read values through `src/runtimeConfig.ts`.
+
+const RUNTIME_CONFIG_FILE = 'env-config.js';
+const GLOBAL_NAME = '__ENV__';
+const PARSE_PATTERN = new RegExp(
+  `^window\\.${GLOBAL_NAME} = (\\{[\\s\\S]*\\});\\s*$`
+);
+
+const isRuntimeConfigEnabled = () => process.env.RUNTIME_CONFIG === 'true';
+
+function renderRuntimeConfig(values) {
+  // Escape `<` so a value can't close the <script> it may be inlined into.
+  const json = JSON.stringify(values).replace(/</g, '\\u003c');
+  return `window.${GLOBAL_NAME} = ${json};\n`;
+}
+
+// The values of an `env-config.js` written by `renderRuntimeConfig`.
+function parseRuntimeConfig(source) {
+  const match = PARSE_PATTERN.exec(source);
+  if (!match) {
+    throw new Error(`Unexpected contents in ${RUNTIME_CONFIG_FILE}.`);
+  }
+  return JSON.parse(match[1]);
+}
+
+// Emits `env-config.js` in production and adds its <script> tag, ahead of the
+// bundles, to every page. The file changes after the build, so it gets no
+// content hash, no integrity and no precompressed siblings.
+class RuntimeConfigPlugin {
+  constructor(htmlWebpackPlugin, { values, emit }) {
+    this.htmlWebpackPlugin = htmlWebpackPlugin;
+    this.values = values;
+    this.emit = emit;
+  }
+
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap('RuntimeConfigPlugin', (compilation) => {
+      const { publicPath } = compilation.outputOptions;
+
+      this.htmlWebpackPlugin
+        .getHooks(compilation)
+        .alterAssetTagGroups.tap('RuntimeConfigPlugin', (data) => {
+          data.headTags.unshift({
+            tagName: 'script',
+            voidTag: false,
+            meta: { plugin: 'RuntimeConfigPlugin' },
+            attributes: { src: publicPath + RUNTIME_CONFIG_FILE },
+          });
+          return data;
+        });
+
+      if (!this.emit) return;
+      compilation.hooks.processAssets.tap(
+        {
+          name: 'RuntimeConfigPlugin',
+          stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL,
+        },
+        () => {
+          compilation.emitAsset(
+            RUNTIME_CONFIG_FILE,
+            new sources.RawSource(renderRuntimeConfig(this.values)),
+            // Keep the format `npm run env-config` parses.
+            { minimized: true, precompress: false }
+          );
+        }
+      );
+    });
+  }
+}
+
+// Dev server middleware serving `env-config.js` from the current environment.
+function runtimeConfigMiddleware(getValues) {
+  const url = paths.publicUrlOrPath + RUNTIME_CONFIG_FILE;
+
+  return (req, res, next) => {
+    if (req.path !== url) return next();
+    res.set('Content-Type', 'application/javascript; charset=utf-8');
+    res.set('Cache-Control', 'no-store');
+    res.send(renderRuntimeConfig(getValues()));
+  };
+}
+
+module.exports = {
+  RUNTIME_CONFIG_FILE,
+  isRuntimeConfigEnabled,
+  renderRuntimeConfig,
+  parseRuntimeConfig,
+  RuntimeConfigPlugin,
+  runtimeConfigMiddleware,
+};
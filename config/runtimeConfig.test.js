@@ -0,0 +1,76 @@
+/** @jest-environment node */
+'use strict';
+
+const paths = require('./paths');
+const {
+  renderRuntimeConfig,
+  parseRuntimeConfig,
+  runtimeConfigMiddleware,
+} = require('./runtimeConfig');
+
+describe('renderRuntimeConfig', () => {
+  it('assigns the values to window.__ENV__', () => {
+    expect(renderRuntimeConfig({ REACT_APP_API_URL: '/api' })).toBe(
+      'window.__ENV__ = {"REACT_APP_API_URL":"/api"};\n'
+    );
+  });
+
+  it("escapes < so a value can't close the script tag", () => {
+    const source = renderRuntimeConfig({ A: '</script><script>alert(1)' });
+
+    expect(source).not.toContain('<');
+    expect(parseRuntimeConfig(source)).toEqual({
+      A: '</script><script>alert(1)',
+    });
+  });
+});
+
+describe('parseRuntimeConfig', () => {
+  it('reads back the rendered values', () => {
+    const values = { REACT_APP_RETRIES: 3, REACT_APP_DEBUG: false };
+
+    expect(parseRuntimeConfig(renderRuntimeConfig(values))).toEqual(values);
+  });
+
+  it('rejects files it did not write', () => {
+    expect(() => parseRuntimeConfig('window.__ENV__ = load();')).toThrow(
+      'Unexpected contents in env-config.js.'
+    );
+  });
+});
+
+describe('runtimeConfigMiddleware', () => {
+  const middleware = runtimeConfigMiddleware(() => ({ A: process.env.A }));
+  const createResponse = () => ({ set: jest.fn(), send: jest.fn() });
+
+  afterEach(() => {
+    delete process.env.A;
+  });
+
+  it('serves env-config.js from the current environment', () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    process.env.A = 'first';
+    middleware({ path: `${paths.publicUrlOrPath}env-config.js` }, res, next);
+    process.env.A = 'second';
+    middleware({ path: `${paths.publicUrlOrPath}env-config.js` }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    expect(res.send.mock.calls).toEqual([
+      ['window.__ENV__ = {"A":"first"};\n'],
+      ['window.__ENV__ = {"A":"second"};\n'],
+    ]);
+  });
+
+  it('passes on other requests', () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    middleware({ path: `${paths.publicUrlOrPath}main.js` }, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const chalk = require('react-dev-utils/chalk');
+
+const STRATEGIES = [
+  'CacheFirst',
+  'CacheOnly',
+  'NetworkFirst',
+  'NetworkOnly',
+  'StaleWhileRevalidate',
+];
+
+// Runtime caching routes of `src/service-worker.ts`. Both only match
+// same-origin requests:
+//   api    - requests whose pathname matches `urlPattern` (a RegExp source)
+//   images - requests for images (`request.destination === 'image'`),
+//            optionally narrowed down by `urlPattern`
+// `serviceWorker.runtimeCaching` in `boilerplate.config.js` is merged over
+// these per route; set a route to `false` to turn it off.
+const DEFAULT_RUNTIME_CACHING = {
+  api: {
+    urlPattern: '^/api/',
+    strategy: 'NetworkFirst',
+    cacheName: 'api',
+    networkTimeoutSeconds: 3,
+    maxEntries: 50,
+    maxAgeSeconds: 5 * 60,
+  },
+  images: {
+    strategy: 'StaleWhileRevalidate',
+    cacheName: 'images',
+    maxEntries: 60,
+    maxAgeSeconds: 30 * 24 * 60 * 60,
+  },
+};
+
+// Resolve the runtime caching routes that get compiled into the worker.
+function getRuntimeCaching(serviceWorker = {}) {
+  const custom = serviceWorker.runtimeCaching || {};
+
+  return Object.keys(DEFAULT_RUNTIME_CACHING).reduce((routes, name) => {
+    if (custom[name] === false) return routes;
+
+    const route = { ...DEFAULT_RUNTIME_CACHING[name], ...custom[name] };
+    if (!STRATEGIES.includes(route.strategy)) {
+      throw new Error(
+        `Unknown strategy "${route.strategy}" for the ${chalk.cyan(
+          name
+        )} service worker route. Use one of: ${STRATEGIES.join(', ')}.`
+      );
+    }
+
+    routes[name] = route;
+    return routes;
+  }, {});
+}
+
+module.exports = { getRuntimeCaching, DEFAULT_RUNTIME_CACHING };
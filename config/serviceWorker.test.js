@@ -0,0 +1,38 @@
+/** @jest-environment node */
+'use strict';
+
+const {
+  getRuntimeCaching,
+  DEFAULT_RUNTIME_CACHING,
+} = require('./serviceWorker');
+
+describe('getRuntimeCaching', () => {
+  it('returns the default routes without options', () => {
+    expect(getRuntimeCaching()).toEqual(DEFAULT_RUNTIME_CACHING);
+  });
+
+  it('merges custom options over a route', () => {
+    const routes = getRuntimeCaching({
+      runtimeCaching: { api: { urlPattern: '^/graphql', maxEntries: 10 } },
+    });
+
+    expect(routes.api).toEqual({
+      ...DEFAULT_RUNTIME_CACHING.api,
+      urlPattern: '^/graphql',
+      maxEntries: 10,
+    });
+    expect(routes.images).toEqual(DEFAULT_RUNTIME_CACHING.images);
+  });
+
+  it('leaves out routes set to false', () => {
+    expect(
+      Object.keys(getRuntimeCaching({ runtimeCaching: { images: false } }))
+    ).toEqual(['api']);
+  });
+
+  it('rejects unknown strategies', () => {
+    expect(() =>
+      getRuntimeCaching({ runtimeCaching: { api: { strategy: 'CacheAll' } } })
+    ).toThrow('Unknown strategy "CacheAll"');
+  });
+});
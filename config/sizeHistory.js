@@ -0,0 +1,230 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const execSync = require('child_process').execSync;
+const chalk = require('react-dev-utils/chalk');
+const paths = require('./paths');
+const {
+  createSizeReader,
+  formatSize,
+  stripContentHash,
+} = require('./fileSizes');
+const { print } = require('./logger').child('size-history');
+
+// The history lives outside build/ so it survives `fs.emptyDirSync`. Each
+// build records one entry per label (by default the git branch), so a PR build
+// can be compared against the last `main` build without rebuilding it:
+//
+//   { "entries": [{ "label": "main", "createdAt": "...",
+//                   "chunks": { "static/js/main.js": { "raw": 1, "gzip": 1 } } }] }
+const historyFile = path.join(paths.appSizeReports, 'history.json');
+const diffJsonFile = path.join(paths.appSizeReports, 'diff.json');
+const diffMarkdownFile = path.join(paths.appSizeReports, 'diff.md');
+
+// Older entries are dropped once the history grows past this.
+const MAX_ENTRIES = 100;
+
+function git(command) {
+  try {
+    return execSync(`git ${command}`, {
+      cwd: paths.appPath,
+      stdio: ['ignore', 'pipe', 'ignore'],
+    })
+      .toString()
+      .trim();
+  } catch (e) {
+    return '';
+  }
+}
+
+// SIZE_LABEL, else the git branch (or commit on a detached HEAD), else 'local'.
+function getDefaultLabel() {
+  if (process.env.SIZE_LABEL) return process.env.SIZE_LABEL;
+
+  const branch = git('rev-parse --abbrev-ref HEAD');
+  if (branch && branch !== 'HEAD') return branch;
+  return git('rev-parse --short HEAD') || 'local';
+}
+
+// Raw and gzipped size of every emitted JS and CSS file, keyed by its name
+// without the content hash.
+function measureChunks(stats, buildFolder) {
+  const readSize = createSizeReader(buildFolder);
+
+  return stats.compilation
+    .getAssets()
+    .map((asset) => asset.name)
+    .filter((file) => /\.(js|css)$/.test(file))
+    .sort()
+    .reduce((chunks, file) => {
+      chunks[stripContentHash(file)] = readSize(file);
+      return chunks;
+    }, {});
+}
+
+function readHistory() {
+  return fs.existsSync(historyFile)
+    ? fs.readJsonSync(historyFile)
+    : { entries: [] };
+}
+
+// Add (or replace) the entry for `label` as the most recent one.
+function recordSizes(label, chunks) {
+  const history = readHistory();
+  const entry = { label, createdAt: new Date().toISOString(), chunks };
+
+  history.entries = history.entries
+    .filter((existing) => existing.label !== label)
+    .concat(entry)
+    .slice(-MAX_ENTRIES);
+
+  fs.outputJsonSync(historyFile, history, { spaces: 2 });
+  return entry;
+}
+
+// Find an entry by label. Without a label: the latest entry, or with
+// `before` set, the latest one recorded before that entry.
+function findEntry(history, label, before) {
+  const { entries } = history;
+  if (label) return entries.find((entry) => entry.label === label) || null;
+
+  const end = before ? entries.indexOf(before) : entries.length;
+  return end > 0 ? entries[end - 1] : null;
+}
+
+const delta = (before, after) => ({
+  raw: after.raw - before.raw,
+  gzip: after.gzip - before.gzip,
+});
+
+function diffSizes(baseline, current) {
+  const names = Array.from(
+    new Set([
+      ...Object.keys(baseline.chunks),
+      ...Object.keys(current.chunks),
+    ])
+  ).sort();
+  const diff = {
+    baseline: { label: baseline.label, createdAt: baseline.createdAt },
+    current: { label: current.label, createdAt: current.createdAt },
+    totals: null,
+    added: [],
+    removed: [],
+    grown: [],
+    shrunk: [],
+    unchanged: [],
+  };
+  const empty = { raw: 0, gzip: 0 };
+  const totals = { before: { ...empty }, after: { ...empty } };
+
+  names.forEach((name) => {
+    const before = baseline.chunks[name];
+    const after = current.chunks[name];
+
+    if (before) {
+      totals.before.raw += before.raw;
+      totals.before.gzip += before.gzip;
+    }
+    if (after) {
+      totals.after.raw += after.raw;
+      totals.after.gzip += after.gzip;
+    }
+
+    const change = { name, before: before || empty, after: after || empty };
+    change.delta = delta(change.before, change.after);
+
+    if (!before) diff.added.push(change);
+    else if (!after) diff.removed.push(change);
+    else if (change.delta.gzip > 0) diff.grown.push(change);
+    else if (change.delta.gzip < 0) diff.shrunk.push(change);
+    else diff.unchanged.push(name);
+  });
+
+  // Biggest changes first.
+  ['added', 'removed', 'grown', 'shrunk'].forEach((group) =>
+    diff[group].sort(
+      (a, b) => Math.abs(b.delta.gzip) - Math.abs(a.delta.gzip)
+    )
+  );
+  diff.totals = { ...totals, delta: delta(totals.before, totals.after) };
+  return diff;
+}
+
+const formatDelta = (bytes) => (bytes > 0 ? '+' : '') + formatSize(bytes);
+
+function formatMarkdown(diff) {
+  const { totals } = diff;
+  const lines = [
+    `## Bundle size: \`${diff.current.label}\` vs \`${diff.baseline.label}\``,
+    '',
+    '| | Before | After | Change |',
+    '| --- | ---: | ---: | ---: |',
+    `| gzip | ${formatSize(totals.before.gzip)} | ${formatSize(
+      totals.after.gzip
+    )} | ${formatDelta(totals.delta.gzip)} |`,
+    `| raw | ${formatSize(totals.before.raw)} | ${formatSize(
+      totals.after.raw
+    )} | ${formatDelta(totals.delta.raw)} |`,
+  ];
+
+  [
+    ['Added', diff.added],
+    ['Removed', diff.removed],
+    ['Grown', diff.grown],
+    ['Shrunk', diff.shrunk],
+  ].forEach(([title, changes]) => {
+    if (!changes.length) return;
+    lines.push(
+      '',
+      `### ${title} (${changes.length})`,
+      '',
+      '| File | Before (gzip) | After (gzip) | Change (gzip) | Change (raw) |',
+      '| --- | ---: | ---: | ---: | ---: |',
+      ...changes.map(
+        (change) =>
+          `| \`${change.name}\` | ${formatSize(
+            change.before.gzip
+          )} | ${formatSize(change.after.gzip)} | ${formatDelta(
+            change.delta.gzip
+          )} | ${formatDelta(change.delta.raw)} |`
+      )
+    );
+  });
+
+  if (diff.unchanged.length) {
+    lines.push('', `${diff.unchanged.length} file(s) unchanged.`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function writeSizeDiff(diff) {
+  fs.outputJsonSync(diffJsonFile, diff, { spaces: 2 });
+  fs.outputFileSync(diffMarkdownFile, formatMarkdown(diff));
+  return { json: diffJsonFile, markdown: diffMarkdownFile };
+}
+
+function printSizeDiffSummary(diff) {
+  const { gzip } = diff.totals.delta;
+  const color = gzip > 0 ? chalk.yellow : chalk.green;
+
+  print(
+    `  ${chalk.bold(diff.current.label)} vs ${chalk.bold(
+      diff.baseline.label
+    )}: ${color(formatDelta(gzip))} gzipped ` +
+      `(${diff.added.length} added, ${diff.removed.length} removed, ` +
+      `${diff.grown.length} grown, ${diff.shrunk.length} shrunk)`,
+    { totals: diff.totals }
+  );
+}
+
+module.exports = {
+  getDefaultLabel,
+  measureChunks,
+  readHistory,
+  recordSizes,
+  findEntry,
+  diffSizes,
+  writeSizeDiff,
+  printSizeDiffSummary,
+};
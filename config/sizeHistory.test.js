@@ -0,0 +1,82 @@
+/** @jest-environment node */
+'use strict';
+
+const { diffSizes, findEntry } = require('./sizeHistory');
+
+const entry = (label, chunks) => ({
+  label,
+  createdAt: '2021-03-01T00:00:00.000Z',
+  chunks,
+});
+const size = (gzip) => ({ raw: gzip * 3, gzip });
+
+describe('findEntry', () => {
+  const main = entry('main', {});
+  const feature = entry('feature', {});
+  const history = { entries: [main, feature] };
+
+  it('finds an entry by label', () => {
+    expect(findEntry(history, 'main')).toBe(main);
+    expect(findEntry(history, 'release')).toBe(null);
+  });
+
+  it('returns the latest entry without a label', () => {
+    expect(findEntry(history)).toBe(feature);
+    expect(findEntry({ entries: [] })).toBe(null);
+  });
+
+  it('returns the entry recorded before another one', () => {
+    expect(findEntry(history, undefined, feature)).toBe(main);
+    expect(findEntry(history, undefined, main)).toBe(null);
+  });
+});
+
+describe('diffSizes', () => {
+  const diff = diffSizes(
+    entry('main', {
+      'static/js/main.js': size(100),
+      'static/js/vendors.js': size(300),
+      'static/js/legacy.js': size(50),
+      'static/css/main.css': size(10),
+    }),
+    entry('feature', {
+      'static/js/main.js': size(120),
+      'static/js/vendors.js': size(250),
+      'static/js/chart.js': size(80),
+      'static/css/main.css': size(10),
+    })
+  );
+
+  it('groups the files by how they changed', () => {
+    const names = (changes) => changes.map((change) => change.name);
+
+    expect(names(diff.added)).toEqual(['static/js/chart.js']);
+    expect(names(diff.removed)).toEqual(['static/js/legacy.js']);
+    expect(names(diff.grown)).toEqual(['static/js/main.js']);
+    expect(names(diff.shrunk)).toEqual(['static/js/vendors.js']);
+    expect(diff.unchanged).toEqual(['static/css/main.css']);
+  });
+
+  it('measures added and removed files against nothing', () => {
+    expect(diff.added[0]).toEqual({
+      name: 'static/js/chart.js',
+      before: { raw: 0, gzip: 0 },
+      after: size(80),
+      delta: size(80),
+    });
+    expect(diff.removed[0].delta).toEqual(size(-50));
+  });
+
+  it('adds up the totals', () => {
+    expect(diff.totals).toEqual({
+      before: size(460),
+      after: size(460),
+      delta: size(0),
+    });
+  });
+
+  it('keeps the labels of both entries', () => {
+    expect(diff.baseline.label).toBe('main');
+    expect(diff.current.label).toBe('feature');
+  });
+});
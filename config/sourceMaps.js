@@ -0,0 +1,163 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { SourceMapConsumer } = require('source-map');
+const chalk = require('react-dev-utils/chalk');
+const paths = require('./paths');
+
+// Source maps of the production build (GENERATE_SOURCEMAP=true).
+//
+// With SOURCEMAP_DIR set, the maps are left out of the deployable build: the
+// bundles don't point to them (`hidden-source-map`) and they are moved from
+// build/ to that folder, to be kept as a build artifact.
+//
+// `symbolicate()` resolves a minified stack trace with those maps, see
+// `scripts/symbolicate.js`.
+
+const isWithin = (folder, file) => {
+  const relative = path.relative(folder, file);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+// Where the maps are moved to, or null to keep them in build/. It has to be a
+// folder of its own: not the app, a folder the app is in, or a part of src/
+// or build/.
+function getSourceMapDir() {
+  const dir = process.env.SOURCEMAP_DIR;
+  if (!dir) return null;
+
+  const target = path.resolve(paths.appPath, dir);
+  if (
+    isWithin(target, paths.appPath) ||
+    isWithin(paths.appSrc, target) ||
+    isWithin(paths.appBuild, target)
+  ) {
+    throw new Error(
+      `SOURCEMAP_DIR=${dir} points to ${chalk.yellow(target)}. ` +
+        'Use a folder of its own for the source maps, e.g. build-maps.'
+    );
+  }
+  return target;
+}
+
+function listFiles(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .reduce((files, dirent) => {
+      const file = path.join(dir, dirent.name);
+      return files.concat(dirent.isDirectory() ? listFiles(file) : file);
+    }, []);
+}
+
+const listMaps = (dir) =>
+  listFiles(dir).filter((file) => file.endsWith('.map'));
+
+// Move the maps in build/ to `targetDir`, keeping their relative paths, in
+// place of the maps of the previous build. Returns how many were moved.
+function moveSourceMaps(targetDir) {
+  if (fs.existsSync(targetDir)) {
+    listMaps(targetDir).forEach((file) => fs.removeSync(file));
+  }
+  const maps = listMaps(paths.appBuild);
+  maps.forEach((file) => {
+    const target = path.join(targetDir, path.relative(paths.appBuild, file));
+    fs.moveSync(file, target);
+  });
+  return maps.length;
+}
+
+// Chrome and Node: `    at fn (url:line:column)` or `    at url:line:column`.
+const V8_FRAME = /^(\s*)at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/;
+// Firefox and Safari: `fn@url:line:column`.
+const GECKO_FRAME = /^(\s*)(.*?)@(.+?):(\d+):(\d+)$/;
+
+function parseFrame(line) {
+  const v8 = V8_FRAME.exec(line);
+  const match = v8 || GECKO_FRAME.exec(line);
+  if (!match) return null;
+  const [, indent, name, url, lineNumber, column] = match;
+  return {
+    format: v8 ? 'v8' : 'gecko',
+    indent,
+    name: name || null,
+    url,
+    line: Number(lineNumber),
+    column: Number(column),
+  };
+}
+
+// Reads the maps of a folder on demand, once each.
+function createMapReader(mapsDir) {
+  const consumers = new Map();
+
+  // The map of a bundle URL, found by the longest end of its path that
+  // matches a map, so any public path or CDN origin works.
+  function findMap(url) {
+    const pathname = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split(/[?#]/)[0];
+    const segments = pathname.split('/').filter(Boolean);
+    for (let i = 0; i < segments.length; i++) {
+      const file = path.join(mapsDir, ...segments.slice(i)) + '.map';
+      if (fs.existsSync(file)) return file;
+    }
+    return null;
+  }
+
+  return (url) => {
+    const file = findMap(url);
+    if (!file) return null;
+    if (!consumers.has(file)) {
+      consumers.set(file, new SourceMapConsumer(fs.readJsonSync(file)));
+    }
+    return consumers.get(file);
+  };
+}
+
+// Map sources are relative to src/ (see `devtoolModuleFilenameTemplate`).
+function toProjectPath(source) {
+  const relative = source.replace(/^webpack:\/\/[^/]*\//, '');
+  return path.join(path.relative(paths.appPath, paths.appSrc), relative);
+}
+
+// The stack with every frame that a map covers replaced by its original
+// function, file, line and column. Other lines are kept as they are.
+function symbolicate(stack, mapsDir) {
+  const readMap = createMapReader(mapsDir);
+  let resolved = 0;
+  let frames = 0;
+
+  const lines = stack.split(/\r?\n/).map((line) => {
+    const frame = parseFrame(line);
+    if (!frame) return line;
+    frames++;
+
+    const consumer = readMap(frame.url);
+    // Stack columns start at 1, source map columns at 0.
+    const original =
+      consumer &&
+      consumer.originalPositionFor({
+        line: frame.line,
+        column: frame.column - 1,
+      });
+    if (!original || !original.source) return line;
+    resolved++;
+
+    const location = `${toProjectPath(original.source)}:${original.line}:${
+      original.column + 1
+    }`;
+    const name = original.name || frame.name;
+    if (frame.format === 'gecko') {
+      return `${frame.indent}${name || ''}@${location}`;
+    }
+    return `${frame.indent}at ${name ? `${name} (${location})` : location}`;
+  });
+
+  return { stack: lines.join('\n'), frames, resolved };
+}
+
+module.exports = {
+  getSourceMapDir,
+  moveSourceMaps,
+  parseFrame,
+  symbolicate,
+};
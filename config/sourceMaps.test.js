@@ -0,0 +1,159 @@
+/** @jest-environment node */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { SourceMapGenerator } = require('source-map');
+
+const mapsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-maps-'));
+const appPath = fs.mkdtempSync(path.join(os.tmpdir(), 'source-maps-app-'));
+const mockPaths = {
+  appPath,
+  appSrc: path.join(appPath, 'src'),
+  appBuild: path.join(appPath, 'build'),
+};
+
+jest.mock('./paths', () => mockPaths);
+
+const {
+  getSourceMapDir,
+  moveSourceMaps,
+  parseFrame,
+  symbolicate,
+} = require('./sourceMaps');
+const button = path.join('src', 'components', 'Button.tsx');
+const index = path.join('src', 'index.tsx');
+
+beforeAll(() => {
+  // main.js:1:11 is `handleClick` at Button.tsx:12:5, main.js:1:31 an
+  // anonymous function at index.tsx:3:1.
+  const map = new SourceMapGenerator({ file: 'main.1a2b3c4d.js' });
+  map.addMapping({
+    generated: { line: 1, column: 10 },
+    original: { line: 12, column: 4 },
+    source: 'components/Button.tsx',
+    name: 'handleClick',
+  });
+  map.addMapping({
+    generated: { line: 1, column: 30 },
+    original: { line: 3, column: 0 },
+    source: 'index.tsx',
+  });
+  fs.outputFileSync(
+    path.join(mapsDir, 'static/js/main.1a2b3c4d.js.map'),
+    map.toString()
+  );
+});
+
+afterAll(() => {
+  fs.removeSync(mapsDir);
+  fs.removeSync(appPath);
+});
+
+describe('getSourceMapDir', () => {
+  afterEach(() => {
+    delete process.env.SOURCEMAP_DIR;
+  });
+
+  it('resolves SOURCEMAP_DIR in the app', () => {
+    expect(getSourceMapDir()).toBe(null);
+    process.env.SOURCEMAP_DIR = 'build-maps';
+    expect(getSourceMapDir()).toBe(path.join(appPath, 'build-maps'));
+  });
+
+  it.each(['.', '..', 'src', 'src/maps', 'build', 'build/maps'])(
+    'refuses %s',
+    (dir) => {
+      process.env.SOURCEMAP_DIR = dir;
+      expect(() => getSourceMapDir()).toThrow(
+        `SOURCEMAP_DIR=${dir} points to`
+      );
+    }
+  );
+});
+
+describe('moveSourceMaps', () => {
+  const inApp = (file) => path.join(appPath, file);
+
+  it('replaces the maps of the previous build and nothing else', () => {
+    fs.outputFileSync(inApp('build-maps/static/js/old.js.map'), '{}');
+    fs.outputFileSync(inApp('build-maps/README.md'), 'Keep me');
+    fs.outputFileSync(inApp('build/static/js/main.js'), '');
+    fs.outputFileSync(inApp('build/static/js/main.js.map'), '{}');
+
+    expect(moveSourceMaps(inApp('build-maps'))).toBe(1);
+    expect(fs.readdirSync(inApp('build/static/js'))).toEqual(['main.js']);
+    expect(fs.readdirSync(inApp('build-maps/static/js'))).toEqual([
+      'main.js.map',
+    ]);
+    expect(fs.existsSync(inApp('build-maps/README.md'))).toBe(true);
+  });
+});
+
+describe('parseFrame', () => {
+  it('parses V8 frames', () => {
+    expect(parseFrame('    at e (https://example.com/main.js:1:11)')).toEqual({
+      format: 'v8',
+      indent: '    ',
+      name: 'e',
+      url: 'https://example.com/main.js',
+      line: 1,
+      column: 11,
+    });
+    expect(parseFrame('    at https://example.com/main.js:1:31')).toEqual(
+      expect.objectContaining({ format: 'v8', name: null, column: 31 })
+    );
+  });
+
+  it('parses Firefox and Safari frames', () => {
+    expect(parseFrame('e@https://example.com/main.js:1:11')).toEqual({
+      format: 'gecko',
+      indent: '',
+      name: 'e',
+      url: 'https://example.com/main.js',
+      line: 1,
+      column: 11,
+    });
+    expect(parseFrame('@https://example.com/main.js:1:31').name).toBe(null);
+  });
+
+  it('skips lines that are not frames', () => {
+    expect(parseFrame('TypeError: x is undefined')).toBe(null);
+    expect(parseFrame('    at new Promise (<anonymous>)')).toBe(null);
+  });
+});
+
+describe('symbolicate', () => {
+  it('resolves the frames the maps cover', () => {
+    const result = symbolicate(
+      [
+        'TypeError: x is undefined',
+        '    at e (https://cdn.example.com/static/js/main.1a2b3c4d.js:1:11)',
+        '    at /static/js/main.1a2b3c4d.js:1:31',
+        '    at https://example.com/static/js/other.js:1:1',
+      ].join('\n'),
+      mapsDir
+    );
+
+    expect(result).toEqual({
+      stack: [
+        'TypeError: x is undefined',
+        `    at handleClick (${button}:12:5)`,
+        `    at ${index}:3:1`,
+        '    at https://example.com/static/js/other.js:1:1',
+      ].join('\n'),
+      frames: 3,
+      resolved: 2,
+    });
+  });
+
+  it('keeps the format of Firefox and Safari stacks', () => {
+    const { stack } = symbolicate(
+      'e@https://example.com/static/js/main.1a2b3c4d.js?v=1:1:11',
+      mapsDir
+    );
+
+    expect(stack).toBe(`handleClick@${button}:12:5`);
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const mime = require('mime-types');
+
+// Static file serving for `npm run serve`, the way production should serve
+// the build.
+//
+// Hashed file names can be cached forever, everything else is revalidated:
+// the HTML, asset-manifest.json and the service worker must be fresh for a
+// deploy to reach the users.
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+const REVALIDATE = 'no-cache';
+
+// Precompressed siblings written by the asset pipeline, preferred in order.
+const ENCODINGS = [
+  { name: 'br', extension: '.br' },
+  { name: 'gzip', extension: '.gz' },
+];
+
+// Serves `file.br` or `file.gz` for `file` when the client accepts it.
+function precompressedMiddleware(buildFolder) {
+  return (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+    const file = path.join(buildFolder, decodeURIComponent(req.path));
+    if (!file.startsWith(buildFolder)) return next();
+
+    const available = ENCODINGS.filter(({ extension }) =>
+      fs.existsSync(file + extension)
+    );
+    if (!available.length) return next();
+
+    res.vary('Accept-Encoding');
+    const encoding = available.find(({ name }) => req.acceptsEncodings(name));
+    if (!encoding) return next();
+
+    res.set('Content-Encoding', encoding.name);
+    res.set(
+      'Content-Type',
+      mime.contentType(path.extname(file)) || 'application/octet-stream'
+    );
+    req.url = req.path + encoding.extension;
+    next();
+  };
+}
+
+// The files of `buildFolder`, precompressed when possible, with `index` for
+// directories.
+function serveBuildFiles(buildFolder, index) {
+  const setCacheHeaders = (res, file) => {
+    const relative = path.relative(buildFolder, file).replace(/\\/g, '/');
+    res.set(
+      'Cache-Control',
+      relative.startsWith('static/') ? IMMUTABLE : REVALIDATE
+    );
+  };
+
+  return [
+    precompressedMiddleware(buildFolder),
+    express.static(buildFolder, { index, setHeaders: setCacheHeaders }),
+  ];
+}
+
+module.exports = { serveBuildFiles };
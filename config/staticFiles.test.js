@@ -0,0 +1,84 @@
+/** @jest-environment node */
+'use strict';
+
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const { serveBuildFiles } = require('./staticFiles');
+
+const buildFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'static-files-'));
+const script = 'console.log("hello");\n'.repeat(100);
+let server;
+
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const { port } = server.address();
+    http
+      .get({ port, path: url, headers }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ res, body: Buffer.concat(chunks) }));
+      })
+      .on('error', reject);
+  });
+}
+
+beforeAll((done) => {
+  const write = (file, content) =>
+    fs.outputFileSync(path.join(buildFolder, file), content);
+  write('index.html', '<div id="root"></div>');
+  write('static/js/main.abcd1234.js', script);
+  write('static/js/main.abcd1234.js.gz', zlib.gzipSync(script));
+  write('static/js/main.abcd1234.js.br', zlib.brotliCompressSync(script));
+
+  const app = express();
+  app.use(serveBuildFiles(buildFolder, 'index.html'));
+  server = app.listen(0, '127.0.0.1', done);
+});
+
+afterAll((done) => {
+  fs.removeSync(buildFolder);
+  server.close(done);
+});
+
+describe('serveBuildFiles', () => {
+  it('caches hashed files forever and revalidates the rest', async () => {
+    const { res: html } = await get('/');
+    const { res: js } = await get('/static/js/main.abcd1234.js');
+
+    expect(html.headers['cache-control']).toBe('no-cache');
+    expect(js.headers['cache-control']).toBe(
+      'public, max-age=31536000, immutable'
+    );
+  });
+
+  it('prefers the brotli sibling', async () => {
+    const { res, body } = await get('/static/js/main.abcd1234.js', {
+      'Accept-Encoding': 'gzip, br',
+    });
+
+    expect(res.headers['content-encoding']).toBe('br');
+    expect(res.headers['content-type']).toBe(
+      'application/javascript; charset=utf-8'
+    );
+    expect(res.headers.vary).toBe('Accept-Encoding');
+    expect(zlib.brotliDecompressSync(body).toString()).toBe(script);
+  });
+
+  it('falls back to the gzip sibling, then to the file itself', async () => {
+    const gzipped = await get('/static/js/main.abcd1234.js', {
+      'Accept-Encoding': 'gzip',
+    });
+    const plain = await get('/static/js/main.abcd1234.js', {
+      'Accept-Encoding': 'identity',
+    });
+
+    expect(gzipped.res.headers['content-encoding']).toBe('gzip');
+    expect(zlib.gunzipSync(gzipped.body).toString()).toBe(script);
+    expect(plain.res.headers['content-encoding']).toBeUndefined();
+    expect(plain.body.toString()).toBe(script);
+  });
+});
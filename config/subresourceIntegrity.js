@@ -0,0 +1,198 @@
+'use strict';
+
+const crypto = require('crypto');
+const {
+  Compilation,
+  RuntimeGlobals,
+  RuntimeModule,
+  sources,
+  runtime: { LoadScriptRuntimeModule },
+} = require('webpack');
+
+// Subresource Integrity for the emitted JS and CSS. Configured through the
+// "integrity" field of boilerplate.config.js (`false` turns it off):
+//
+//   integrity: { algorithms: ['sha384'] }
+//
+// Hashes can only be computed once the files are final, which is after
+// html-webpack-plugin rendered the page and after RealContentHashPlugin
+// rewrote the hashes in file names. So tags and the runtime get placeholders
+// first, and those are filled in at the end:
+// - `integrity="__SRI__[static/js/main.abc.js]"` on injected tags
+// - `"__SRI_HASHES__"` in the runtime, the map of lazily loaded chunk files
+//   used when the runtime creates their <script> and <link> tags
+// Tags inlined by InlineChunkHtmlPlugin lose their attributes, and need none.
+
+const PLUGIN_NAME = 'SubresourceIntegrityPlugin';
+const SUPPORTED_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+const CROSS_ORIGIN = 'anonymous';
+
+const tagPlaceholder = (file) => `__SRI__[${file}]`;
+const TAG_PLACEHOLDER = /__SRI__\[([^\]]+)\]/g;
+const MAP_PLACEHOLDER = /(["'])__SRI_HASHES__\1/g;
+
+const isHashed = (file) => /\.(js|css)$/.test(file);
+
+// Exposes the map of lazy chunk files to their integrity on the require
+// function, for the script and stylesheet loaders below.
+class IntegrityRuntimeModule extends RuntimeModule {
+  constructor() {
+    super('subresource integrity');
+  }
+
+  generate() {
+    return `${RuntimeGlobals.require}.sriHashes = "__SRI_HASHES__";`;
+  }
+}
+
+// Set on lazily loaded <script> tags, with `url` and the require function in
+// scope (see LoadScriptRuntimeModule).
+const scriptIntegrity = [
+  `var sriHash = ${RuntimeGlobals.require}.sriHashes[`,
+  `  url.slice(${RuntimeGlobals.publicPath}.length)`,
+  '];',
+  'if (sriHash) {',
+  '  script.integrity = sriHash;',
+  `  script.crossOrigin = ${JSON.stringify(CROSS_ORIGIN)};`,
+  '}',
+].join('\n');
+
+// mini-css-extract-plugin has no hook for its lazily loaded <link> tags, but
+// inlines its `insert` option into the runtime. Written in ES5, it runs as is
+// in the browser.
+function insertStylesheet(linkTag) {
+  /* global __webpack_require__, document */
+  var sriHash = __webpack_require__.sriHashes[
+    linkTag.getAttribute('href').slice(__webpack_require__.p.length)
+  ];
+  if (sriHash) {
+    linkTag.integrity = sriHash;
+    linkTag.crossOrigin = 'anonymous';
+  }
+  document.head.appendChild(linkTag);
+}
+
+function computeIntegrity(content, algorithms) {
+  return algorithms
+    .map(
+      (algorithm) =>
+        `${algorithm}-${crypto
+          .createHash(algorithm)
+          .update(content)
+          .digest('base64')}`
+    )
+    .join(' ');
+}
+
+class SubresourceIntegrityPlugin {
+  constructor(htmlWebpackPlugin, { algorithms = ['sha384'] } = {}) {
+    const unsupported = algorithms.find(
+      (algorithm) => !SUPPORTED_ALGORITHMS.includes(algorithm)
+    );
+    if (unsupported) {
+      throw new Error(
+        `Unsupported integrity algorithm "${unsupported}". Use one of: ` +
+          `${SUPPORTED_ALGORITHMS.join(', ')}.`
+      );
+    }
+
+    this.htmlWebpackPlugin = htmlWebpackPlugin;
+    this.algorithms = algorithms;
+    this.integrity = {};
+  }
+
+  // File name -> integrity of every emitted JS and CSS file of the last
+  // compilation.
+  getIntegrity() {
+    return this.integrity;
+  }
+
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      this.integrity = {};
+      const { publicPath } = compilation.outputOptions;
+
+      compilation.hooks.runtimeRequirementInTree
+        .for(RuntimeGlobals.ensureChunkHandlers)
+        .tap(PLUGIN_NAME, (chunk, runtimeRequirements) => {
+          runtimeRequirements.add(RuntimeGlobals.publicPath);
+          compilation.addRuntimeModule(chunk, new IntegrityRuntimeModule());
+        });
+
+      LoadScriptRuntimeModule.getCompilationHooks(
+        compilation
+      ).createScript.tap(PLUGIN_NAME, (source) =>
+        [source, scriptIntegrity].join('\n')
+      );
+
+      this.htmlWebpackPlugin
+        .getHooks(compilation)
+        .alterAssetTags.tap(PLUGIN_NAME, (data) => {
+          const { scripts, styles } = data.assetTags;
+          scripts.concat(styles).forEach((tag) => {
+            const url = tag.attributes.src || tag.attributes.href;
+            if (typeof url !== 'string' || !url.startsWith(publicPath)) return;
+
+            const file = url.slice(publicPath.length);
+            if (!isHashed(file)) return;
+            tag.attributes.integrity = tagPlaceholder(file);
+            tag.attributes.crossorigin = CROSS_ORIGIN;
+          });
+          return data;
+        });
+
+      compilation.hooks.processAssets.tap(
+        {
+          name: PLUGIN_NAME,
+          // After RealContentHashPlugin, before the asset pipeline
+          // precompresses the files.
+          stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_HASH + 1,
+        },
+        () => this.fillPlaceholders(compilation)
+      );
+    });
+  }
+
+  fillPlaceholders(compilation) {
+    const hash = (file) => {
+      if (!this.integrity[file]) {
+        this.integrity[file] = computeIntegrity(
+          compilation.getAsset(file).source.buffer(),
+          this.algorithms
+        );
+      }
+      return this.integrity[file];
+    };
+    const replaceIn = (test, pattern, replacer) =>
+      compilation.getAssets().forEach(({ name, source }) => {
+        if (!test.test(name)) return;
+        const content = source.source().toString();
+        const filled = content.replace(pattern, replacer);
+        if (filled !== content) {
+          compilation.updateAsset(name, new sources.RawSource(filled));
+        }
+      });
+
+    // Lazy chunks never contain a runtime, so their hashes are final and can
+    // go into the runtime chunks (and their inlined copies) first.
+    const hashMap = {};
+    compilation.chunks.forEach((chunk) => {
+      if (chunk.canBeInitial()) return;
+      chunk.files.forEach((file) => {
+        if (isHashed(file)) hashMap[file] = hash(file);
+      });
+    });
+    const serializedMap = JSON.stringify(hashMap);
+    replaceIn(/\.(js|html)$/, MAP_PLACEHOLDER, () => serializedMap);
+
+    // Now every JS and CSS file is final.
+    replaceIn(/\.html$/, TAG_PLACEHOLDER, (match, file) =>
+      compilation.getAsset(file) ? hash(file) : ''
+    );
+    compilation
+      .getAssets()
+      .forEach(({ name }) => isHashed(name) && hash(name));
+  }
+}
+
+module.exports = { SubresourceIntegrityPlugin, insertStylesheet };
@@ -0,0 +1,85 @@
+/** @jest-environment node */
+'use strict';
+
+const crypto = require('crypto');
+const { sources } = require('webpack');
+const { SubresourceIntegrityPlugin } = require('./subresourceIntegrity');
+
+const files = {
+  'index.html':
+    '<script src="/static/js/main.js" integrity="__SRI__[static/js/main.js]">' +
+    '</script><script>var map = "__SRI_HASHES__";</script>',
+  'static/js/main.js': 'var map = "__SRI_HASHES__";',
+  'static/js/1.chunk.js': 'lazy()',
+  'static/css/1.chunk.css': 'a{}',
+};
+
+// The parts of a webpack compilation the plugin fills the placeholders in.
+function createCompilation() {
+  const assets = new Map();
+  Object.keys(files).forEach((name) =>
+    assets.set(name, { name, source: new sources.RawSource(files[name]) })
+  );
+  return {
+    chunks: new Set([
+      { canBeInitial: () => true, files: new Set(['static/js/main.js']) },
+      {
+        canBeInitial: () => false,
+        files: new Set(['static/js/1.chunk.js', 'static/css/1.chunk.css']),
+      },
+    ]),
+    getAssets: () => Array.from(assets.values()),
+    getAsset: (name) => assets.get(name),
+    updateAsset: (name, source) => assets.set(name, { name, source }),
+  };
+}
+
+const contentOf = (compilation, name) =>
+  compilation.getAsset(name).source.source();
+
+const sha384 = (content) =>
+  `sha384-${crypto.createHash('sha384').update(content).digest('base64')}`;
+
+describe('SubresourceIntegrityPlugin', () => {
+  it('rejects unsupported algorithms', () => {
+    expect(
+      () => new SubresourceIntegrityPlugin(null, { algorithms: ['md5'] })
+    ).toThrow('Unsupported integrity algorithm "md5"');
+  });
+
+  it('fills in the hashes of the lazy chunks and of the tags', () => {
+    const compilation = createCompilation();
+    const plugin = new SubresourceIntegrityPlugin(null);
+
+    plugin.fillPlaceholders(compilation);
+
+    const lazyHashes = JSON.stringify({
+      'static/js/1.chunk.js': sha384('lazy()'),
+      'static/css/1.chunk.css': sha384('a{}'),
+    });
+    const main = `var map = ${lazyHashes};`;
+    expect(contentOf(compilation, 'static/js/main.js')).toBe(main);
+    expect(contentOf(compilation, 'index.html')).toBe(
+      `<script src="/static/js/main.js" integrity="${sha384(main)}">` +
+        `</script><script>var map = ${lazyHashes};</script>`
+    );
+    expect(Object.keys(plugin.getIntegrity()).sort()).toEqual([
+      'static/css/1.chunk.css',
+      'static/js/1.chunk.js',
+      'static/js/main.js',
+    ]);
+  });
+
+  it('joins the hashes of several algorithms', () => {
+    const compilation = createCompilation();
+    const plugin = new SubresourceIntegrityPlugin(null, {
+      algorithms: ['sha256', 'sha512'],
+    });
+
+    plugin.fillPlaceholders(compilation);
+
+    expect(plugin.getIntegrity()['static/js/1.chunk.js']).toMatch(
+      /^sha256-\S+ sha512-\S+$/
+    );
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const chalk = require('react-dev-utils/chalk');
+const createBeaconRouter = require('./beaconRouter');
+const { log } = require('./logger').child('vitals');
+
+// Collects the Web Vitals sent by `src/performance.ts` on the dev server and
+// in `npm run serve`, to try out performance reporting locally:
+//   POST /__vitals   the report of a page view, printed in the terminal
+//   GET  /__vitals   the 75th percentiles by build version and route
+// Build or start with PERFORMANCE_REPORTING_URL=/__vitals to report to it.
+
+const COLLECTOR_PATH = '/__vitals';
+const MAX_KEPT = 1000;
+const METRICS = ['LCP', 'CLS', 'FID', 'INP', 'TTFB', 'FCP'];
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.ceil((p / 100) * sorted.length) - 1];
+}
+
+// The 75th percentile of each metric, as Web Vitals are assessed, per version
+// and route.
+function summarize(reports) {
+  const groups = new Map();
+  reports.forEach((report) => {
+    const key = `${report.version} ${report.route}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        version: report.version,
+        route: report.route,
+        reports: [],
+      });
+    }
+    groups.get(key).reports.push(report);
+  });
+
+  return [...groups.values()].map(({ version, route, reports }) => ({
+    version,
+    route,
+    pageViews: reports.length,
+    p75: METRICS.reduce((p75, name) => {
+      const values = reports
+        .map((report) => report.metrics[name])
+        .filter((value) => typeof value === 'number');
+      if (values.length) p75[name] = percentile(values, 75);
+      return p75;
+    }, {}),
+  }));
+}
+
+function printReport(report) {
+  const values = METRICS.filter((name) => report.metrics[name] !== undefined)
+    .map((name) => `${name} ${report.metrics[name]}`)
+    .join('  ');
+  log(
+    `${report.route} ${chalk.dim(`(version ${report.version})`)}  ${values}` +
+      chalk.dim(`  long tasks ${report.longTasks.count}`)
+  );
+}
+
+function vitalsCollectorMiddleware() {
+  // By page view; reports sent again for the same view replace it.
+  const reports = new Map();
+
+  return createBeaconRouter(COLLECTOR_PATH, {
+    list: () => ({ summary: summarize([...reports.values()]) }),
+    receive: (report) => {
+      if (!report || !report.id || !report.metrics || !report.longTasks) {
+        return 'Expected a performance report.';
+      }
+      printReport(report);
+      reports.delete(report.id);
+      reports.set(report.id, report);
+      if (reports.size > MAX_KEPT) {
+        reports.delete(reports.keys().next().value);
+      }
+    },
+  });
+}
+
+module.exports = { summarize, vitalsCollectorMiddleware };
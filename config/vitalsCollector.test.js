@@ -0,0 +1,41 @@
+/** @jest-environment node */
+'use strict';
+
+const { summarize } = require('./vitalsCollector');
+
+const report = (version, route, metrics) => ({
+  id: `${version}${route}${JSON.stringify(metrics)}`,
+  version,
+  route,
+  metrics,
+  longTasks: { count: 0, duration: 0 },
+});
+
+describe('summarize', () => {
+  it('takes the 75th percentile per version and route', () => {
+    const summary = summarize([
+      report('1.0.0', '/', { LCP: 1000, CLS: 0.01 }),
+      report('1.0.0', '/', { LCP: 4000, CLS: 0.3 }),
+      report('1.0.0', '/', { LCP: 2000 }),
+      report('1.0.0', '/', { LCP: 3000, CLS: 0.02 }),
+      report('1.0.0', '/pricing', { LCP: 500 }),
+      report('1.1.0', '/', { LCP: 800, FID: 12 }),
+    ]);
+
+    expect(summary).toEqual([
+      {
+        version: '1.0.0',
+        route: '/',
+        pageViews: 4,
+        p75: { LCP: 3000, CLS: 0.3 },
+      },
+      { version: '1.0.0', route: '/pricing', pageViews: 1, p75: { LCP: 500 } },
+      {
+        version: '1.1.0',
+        route: '/',
+        pageViews: 1,
+        p75: { LCP: 800, FID: 12 },
+      },
+    ]);
+  });
+});
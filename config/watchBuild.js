@@ -0,0 +1,80 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('react-dev-utils/chalk');
+const formatWebpackMessages = require('react-dev-utils/formatWebpackMessages');
+const paths = require('./paths');
+const { error, warn, info } = require('./logger').child('build');
+
+// The parts of `build --watch` that run on every change: keeping the public
+// folder's copy in the build up to date and reporting each rebuild.
+
+// Copies a changed file of the public folder into the build folder, or
+// removes it there, for a chokidar `all` event. index.html is a template of
+// the build, webpack watches it itself.
+function syncPublicFile(event, file) {
+  if (file === paths.appHtml || event === 'addDir') return;
+  const target = path.join(
+    paths.appBuild,
+    path.relative(paths.appPublic, file)
+  );
+  const removed = event === 'unlink' || event === 'unlinkDir';
+  if (removed) {
+    fs.removeSync(target);
+  } else {
+    fs.copySync(file, target, { dereference: true });
+  }
+  const name = chalk.cyan(path.relative(paths.appPath, file));
+  info(`${removed ? 'Removed' : 'Copied'} ${name}.`);
+}
+
+// One line per rebuild (plus its first error or the warnings), e.g.
+// "Rebuilt in 0.9s after changes to src/App.tsx: 4 files written."
+function printRebuildSummary(compiler, stats) {
+  const messages = formatStatsMessages(stats);
+  const { startTime, endTime, compilation } = stats;
+  const time = `${((endTime - startTime) / 1000).toFixed(1)}s`;
+  // Files only, not the folders they are in.
+  const changes = Array.from(compiler.modifiedFiles || [])
+    .concat(Array.from(compiler.removedFiles || []))
+    .filter((file) => !fs.existsSync(file) || !fs.statSync(file).isDirectory())
+    .map((file) => path.relative(paths.appPath, file));
+  // Nothing changed yet on the first build.
+  const first = !compiler.modifiedFiles;
+  const cause = changes.length
+    ? ` after changes to ${chalk.cyan(changes.join(', '))}`
+    : '';
+
+  if (messages.errors.length) {
+    error(
+      `Failed to ${first ? 'build' : 'rebuild'}${cause}.\n\n` +
+        `${messages.errors[0]}\n`
+    );
+    return;
+  }
+  info(
+    `${first ? 'Built' : 'Rebuilt'} in ${time}${cause}: ` +
+      `${compilation.emittedAssets.size} files written.`
+  );
+  if (messages.warnings.length) {
+    warn(`Compiled with warnings.\n\n${messages.warnings.join('\n\n')}\n`);
+  }
+}
+
+// formatWebpackMessages() takes strings, webpack 5 reports objects.
+function formatStatsMessages(stats) {
+  const { errors, warnings } = stats.toJson({
+    all: false,
+    warnings: true,
+    errors: true,
+  });
+  const toMessage = (problem) =>
+    typeof problem === 'string' ? problem : problem.message;
+  return formatWebpackMessages({
+    errors: errors.map(toMessage),
+    warnings: warnings.map(toMessage),
+  });
+}
+
+module.exports = { syncPublicFile, printRebuildSummary };
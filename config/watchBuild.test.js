@@ -0,0 +1,111 @@
+/** @jest-environment node */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const appPath = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-build-'));
+const mockPaths = {
+  appPath,
+  appPublic: path.join(appPath, 'public'),
+  appHtml: path.join(appPath, 'public/index.html'),
+  appBuild: path.join(appPath, 'build'),
+};
+const mockLogger = { error: jest.fn(), warn: jest.fn(), info: jest.fn() };
+
+jest.mock('./paths', () => mockPaths);
+jest.mock('./logger', () => ({ child: () => mockLogger }));
+
+const { syncPublicFile, printRebuildSummary } = require('./watchBuild');
+
+const publicFile = (name) => path.join(mockPaths.appPublic, name);
+const buildFile = (name) => path.join(mockPaths.appBuild, name);
+
+beforeAll(() => {
+  fs.mkdirSync(path.join(appPath, 'src'));
+  fs.mkdirSync(path.join(mockPaths.appPublic, 'images'), { recursive: true });
+  fs.writeFileSync(mockPaths.appHtml, '<html></html>');
+  fs.writeFileSync(publicFile('images/logo.png'), 'logo');
+});
+
+afterAll(() => {
+  fs.rmSync(appPath, { recursive: true });
+});
+
+describe('syncPublicFile', () => {
+  it('copies added and changed files into the build', () => {
+    syncPublicFile('add', publicFile('images/logo.png'));
+    expect(fs.readFileSync(buildFile('images/logo.png'), 'utf8')).toBe('logo');
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      expect.stringMatching(/^Copied .*public\/images\/logo\.png.*\.$/)
+    );
+  });
+
+  it('removes deleted files from the build', () => {
+    fs.mkdirSync(buildFile('fonts'), { recursive: true });
+    fs.writeFileSync(buildFile('fonts/font.woff2'), 'font');
+    syncPublicFile('unlinkDir', publicFile('fonts'));
+    expect(fs.existsSync(buildFile('fonts'))).toBe(false);
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      expect.stringMatching(/^Removed .*public\/fonts.*\.$/)
+    );
+  });
+
+  it('leaves index.html and new folders alone', () => {
+    syncPublicFile('change', mockPaths.appHtml);
+    syncPublicFile('addDir', publicFile('images'));
+    expect(fs.existsSync(buildFile('index.html'))).toBe(false);
+    expect(mockLogger.info).not.toHaveBeenCalled();
+  });
+});
+
+describe('printRebuildSummary', () => {
+  const createStats = ({ errors = [], warnings = [] } = {}) => ({
+    startTime: 1000,
+    endTime: 1900,
+    compilation: { emittedAssets: new Set(['main.js', 'main.css']) },
+    toJson: () => ({ errors, warnings }),
+  });
+
+  it('reports the first build', () => {
+    printRebuildSummary({}, createStats());
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      'Built in 0.9s: 2 files written.'
+    );
+  });
+
+  it('reports the changed files of a rebuild, not their folders', () => {
+    const compiler = {
+      modifiedFiles: new Set([
+        path.join(appPath, 'src'),
+        path.join(appPath, 'src/App.tsx'),
+      ]),
+      removedFiles: new Set([path.join(appPath, 'src/Old.tsx')]),
+    };
+    printRebuildSummary(compiler, createStats());
+    const [message] = mockLogger.info.mock.calls[0];
+    expect(message).toMatch(/^Rebuilt in 0\.9s after changes to /);
+    expect(message).toMatch(/App\.tsx, src\/Old\.tsx.*: 2 files written\.$/);
+  });
+
+  it('prints the first error of a failed rebuild only', () => {
+    const compiler = { modifiedFiles: new Set(), removedFiles: new Set() };
+    printRebuildSummary(
+      compiler,
+      createStats({ errors: [{ message: 'First' }, { message: 'Second' }] })
+    );
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      'Failed to rebuild.\n\nFirst\n'
+    );
+    expect(mockLogger.info).not.toHaveBeenCalled();
+  });
+
+  it('prints the warnings after the summary', () => {
+    printRebuildSummary({}, createStats({ warnings: ['Careful'] }));
+    expect(mockLogger.info).toHaveBeenCalled();
+    expect(mockLogger.warn).toHaveBeenCalledWith(
+      'Compiled with warnings.\n\nCareful\n'
+    );
+  });
+});
@@ -0,0 +1,736 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const webpack = require('webpack');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const ForkTsCheckerWebpackPlugin = require('fork-ts-checker-webpack-plugin');
+const ESLintPlugin = require('eslint-webpack-plugin');
+const paths = require('./paths');
+const postcssNormalize = require('postcss-normalize');
+const MiniCssExtractPlugin = require('mini-css-extract-plugin');
+const getCSSModuleLocalIdent = require('react-dev-utils/getCSSModuleLocalIdent');
+const InlineChunkHtmlPlugin = require('react-dev-utils/InlineChunkHtmlPlugin');
+const InterpolateHtmlPlugin = require('react-dev-utils/InterpolateHtmlPlugin');
+const ModuleNotFoundPlugin = require('react-dev-utils/ModuleNotFoundPlugin');
+const WatchMissingNodeModulesPlugin = require('react-dev-utils/WatchMissingNodeModulesPlugin');
+const CaseSensitivePathsPlugin = require('case-sensitive-paths-webpack-plugin');
+const ReactRefreshWebpackPlugin = require('@pmmmwh/react-refresh-webpack-plugin');
+const ModuleScopePlugin = require('react-dev-utils/ModuleScopePlugin');
+const { WebpackManifestPlugin } = require('webpack-manifest-plugin');
+const { InjectManifest } = require('workbox-webpack-plugin');
+const TerserPlugin = require('terser-webpack-plugin');
+const OptimizeCSSAssetsPlugin = require('optimize-css-assets-webpack-plugin');
+const getClientEnvironment = require('./env');
+const { loadOverrides } = require('./overrides');
+const { getRuntimeCaching } = require('./serviceWorker');
+const { getPages, getHistoryRewrites, getFallbackPage } = require('./pages');
+const {
+  isRuntimeConfigEnabled,
+  RuntimeConfigPlugin,
+  runtimeConfigMiddleware,
+} = require('./runtimeConfig');
+const logger = require('./logger').child('webpack');
+const { AssetPipelinePlugin } = require('./assetPipeline');
+const { getSourceMapDir } = require('./sourceMaps');
+const { RoutesPlugin } = require('./routes');
+const { getCacheConfig } = require('./buildCache');
+const {
+  ModuleScriptsPlugin,
+  getLegacyManifest,
+} = require('./differentialBuild');
+const {
+  SubresourceIntegrityPlugin,
+  insertStylesheet,
+} = require('./subresourceIntegrity');
+
+const webpackDevClientEntry = require.resolve(
+  'react-dev-utils/webpackHotDevClient'
+);
+
+const reactRefreshOverlayEntry = require.resolve(
+  'react-dev-utils/refreshOverlayInterop'
+);
+
+// style files regexes
+const cssRegex = /\.css$/;
+const cssModuleRegex = /\.module\.css$/;
+const sassRegex = /\.(scss|sass)$/;
+const sassModuleRegex = /\.module\.(scss|sass)$/;
+
+// Build the webpack config for `mode` ('development' or 'production').
+// `overrides` defaults to the contents of `boilerplate.config.js`, see
+// `./overrides.js` for the supported fields and the order they apply in.
+// `target: 'node'` compiles the pages for prerendering, see `./prerender.js`.
+// `variant` ('modern' or 'legacy') is one compilation of the differential
+// build, which share `legacyBuild`, see `./differentialBuild.js`.
+// `watch` is for a production compiler that keeps running (`build --watch`).
+function createWebpackConfig({
+  mode = process.env.NODE_ENV,
+  overrides = loadOverrides({ mode, paths }),
+  target = 'web',
+  variant,
+  legacyBuild,
+  watch = false,
+} = {}) {
+  const isDev = mode === 'development';
+  const isProduction = mode === 'production';
+  const isServer = target === 'node';
+  const isModern = variant === 'modern';
+  const isLegacy = variant === 'legacy';
+  // Legacy scripts get their own names next to the modern ones.
+  const scriptSuffix = isLegacy ? '.legacy' : '';
+
+  // We will provide `paths.publicUrlOrPath` to our app
+  // as %PUBLIC_URL% in `index.html` and `process.env.PUBLIC_URL` in JavaScript.
+  // Omit trailing slash as %PUBLIC_URL%/xyz looks better than %PUBLIC_URL%xyz.
+  // Get environment variables to inject into our app.
+  const env = getClientEnvironment(
+    paths.publicUrlOrPath.slice(0, -1),
+    overrides.env
+  );
+
+  const shouldUseSourceMap = Boolean(process.env.GENERATE_SOURCEMAP);
+  // Maps kept out of build/ aren't referenced by the bundles.
+  const hideSourceMaps = shouldUseSourceMap && Boolean(getSourceMapDir());
+  const shouldUseReactRefresh = isDev && env.raw.FAST_REFRESH;
+  const shouldInlineRuntimeChunk = Boolean(process.env.INLINE_RUNTIME_CHUNK);
+  const withServiceWorker = isProduction && Boolean(process.env.SERVICE_WORKER);
+  const withRuntimeConfig = isRuntimeConfigEnabled();
+  // Source maps for styles: always in development, opt-in for production.
+  const styleSourceMap = isDev || shouldUseSourceMap;
+
+  // Variable used for enabling profiling in Production
+  // passed into alias object. Uses a flag if passed into the build command
+  const isEnvProductionProfile =
+    isProduction && process.argv.includes('--profile');
+
+  // One entry and one HTML file per page, see `./pages.js`.
+  const pages = getPages();
+
+  const assetPipeline =
+    isProduction && !isServer && new AssetPipelinePlugin(overrides.assets);
+  const subresourceIntegrity =
+    isProduction &&
+    !isServer &&
+    overrides.integrity !== false &&
+    new SubresourceIntegrityPlugin(HtmlWebpackPlugin, overrides.integrity);
+
+  // Env values are masked by the logger, so API keys stay out of CI logs.
+  logger.debug('Settings:', {
+    mode,
+    target,
+    variant,
+    watch,
+    shouldUseSourceMap,
+    shouldUseReactRefresh,
+    shouldInlineRuntimeChunk,
+    withServiceWorker,
+    isEnvProductionProfile,
+    ...paths,
+    env: env.raw,
+  });
+
+  // common function to get style loaders
+  const getStyleLoaders = (cssOptions, preProcessor = '') => {
+    if (isServer) {
+      // Prerendering only needs the class names of CSS Modules.
+      cssOptions = {
+        ...cssOptions,
+        modules: cssOptions.modules
+          ? { ...cssOptions.modules, exportOnlyLocals: true }
+          : { mode: 'global', exportOnlyLocals: true },
+      };
+    }
+    const loaders = [
+      isDev && require.resolve('style-loader'),
+      !isDev && !isServer && {
+        loader: MiniCssExtractPlugin.loader,
+        // css is located in `static/css`, use '../../' to locate index.html folder
+        // in production `paths.publicUrlOrPath` can be a relative path
+        options: paths.publicUrlOrPath.startsWith('.')
+          ? { publicPath: '../../' }
+          : {},
+      },
+      {
+        loader: require.resolve('css-loader'),
+        options: cssOptions,
+      },
+      {
+        // Options for PostCSS as we reference these options twice
+        // Adds vendor prefixing based on your specified browser support in
+        // package.json
+        loader: require.resolve('postcss-loader'),
+        options: {
+          postcssOptions: {
+            // Necessary for external CSS imports to work
+            // https://github.com/facebook/create-react-app/issues/2677
+            ident: 'postcss',
+            plugins: [
+              require('postcss-flexbugs-fixes'),
+              require('postcss-preset-env')({
+                autoprefixer: {
+                  flexbox: 'no-2009',
+                },
+                stage: 3,
+              }),
+              // Adds PostCSS Normalize as the reset css with default options,
+              // so that it honors browserslist config in package.json
+              // which in turn let's users customize the target behavior as per their needs.
+              postcssNormalize(),
+            ],
+            sourceMap: styleSourceMap,
+          },
+        },
+      },
+    ].filter(Boolean);
+    if (preProcessor) {
+      loaders.push(
+        {
+          loader: require.resolve('resolve-url-loader'),
+          options: {
+            sourceMap: styleSourceMap,
+            root: paths.appSrc,
+          },
+        },
+        {
+          loader: require.resolve(preProcessor),
+          options: {
+            sourceMap: true,
+          },
+        }
+      );
+    }
+    return loaders;
+  };
+
+  // "oneOf" will traverse all following loaders until one will match the
+  // requirements. When no loader matches it will fall back to the
+  // "asset/resource" rule at the end. Rules from `boilerplate.config.js` are
+  // tried first so they can claim extensions the built-in rules handle.
+  const rules = [
+    ...(overrides.rules || []),
+    { test: [/\.avif$/], type: 'asset/inline' },
+    { test: [/\.bmp$/, /\.gif$/, /\.jpe?g$/, /\.png$/], type: 'asset/inline' },
+    // "postcss" loader applies autoprefixer to our CSS.
+    // "css" loader resolves paths in CSS and adds assets as dependencies.
+    // "style" loader turns CSS into JS modules that inject <style> tags.
+    // In production, we use MiniCSSExtractPlugin to extract that CSS
+    // to a file, but in development "style" loader enables hot editing
+    // of CSS.
+    // By default we support CSS Modules with the extension .module.css
+    {
+      test: cssRegex,
+      exclude: cssModuleRegex,
+      use: getStyleLoaders({
+        importLoaders: 1,
+        sourceMap: styleSourceMap,
+      }),
+      // Don't consider CSS imports dead code even if the
+      // containing package claims to have no side effects.
+      // Remove this when webpack adds a warning or an error for this.
+      // See https://github.com/webpack/webpack/issues/6571
+      sideEffects: true,
+    },
+    // Adds support for CSS Modules (https://github.com/css-modules/css-modules)
+    // using the extension .module.css
+    {
+      test: cssModuleRegex,
+      use: getStyleLoaders({
+        importLoaders: 1,
+        sourceMap: styleSourceMap,
+        modules: {
+          getLocalIdent: getCSSModuleLocalIdent,
+        },
+      }),
+    },
+    // Opt-in support for SASS (using .scss or .sass extensions).
+    // By default we support SASS Modules with the
+    // extensions .module.scss or .module.sass
+    {
+      test: sassRegex,
+      exclude: sassModuleRegex,
+      use: getStyleLoaders(
+        {
+          importLoaders: 3,
+          sourceMap: styleSourceMap,
+        },
+        'sass-loader'
+      ),
+      // Don't consider CSS imports dead code even if the
+      // containing package claims to have no side effects.
+      // Remove this when webpack adds a warning or an error for this.
+      // See https://github.com/webpack/webpack/issues/6571
+      sideEffects: true,
+    },
+    // Adds support for CSS Modules, but using SASS
+    // using the extension .module.scss or .module.sass
+    {
+      test: sassModuleRegex,
+      use: getStyleLoaders(
+        {
+          importLoaders: 3,
+          sourceMap: styleSourceMap,
+          modules: {
+            getLocalIdent: getCSSModuleLocalIdent,
+          },
+        },
+        'sass-loader'
+      ),
+    },
+    // fallback
+    {
+      type: 'asset/resource',
+      exclude: [
+        // Resources without a path, such as the `data:` module
+        // HtmlWebpackPlugin compiles for its template.
+        /^$/,
+        /\.(js|mjs|jsx|ts|tsx)$/,
+        /\.html$/,
+        /\.json$/,
+        /\.scss$/,
+        /\.css$/,
+      ],
+    },
+  ];
+
+  const plugins = [
+    // The legacy compilation only adds scripts, the modern one checks the code
+    // and writes the HTML.
+    isProduction &&
+      !isLegacy &&
+      new ESLintPlugin({ extensions: ['js', 'jsx', 'ts', 'tsx'] }),
+    ...(isLegacy ? [] : pages).map(
+      (page) =>
+        new HtmlWebpackPlugin({
+          inject: true,
+          template: page.template,
+          filename: page.filename,
+          chunks: [page.name],
+          minify: isProduction && {
+            removeComments: true,
+            collapseWhitespace: true,
+            removeRedundantAttributes: true,
+            useShortDoctype: true,
+            removeEmptyAttributes: true,
+            removeStyleLinkTypeAttributes: true,
+            keepClosingSlash: true,
+            minifyJS: true,
+            minifyCSS: true,
+            minifyURLs: true,
+          },
+        })
+    ),
+    // Makes some environment variables available in index.html.
+    // The public URL is available as %PUBLIC_URL% in index.html, e.g.:
+    // <link rel="icon" href="%PUBLIC_URL%/favicon.ico">
+    // It will be an empty string unless you specify "homepage"
+    // in `package.json`, in which case it will be the pathname of that URL.
+    new InterpolateHtmlPlugin(HtmlWebpackPlugin, env.raw),
+    // Loads `env-config.js` ahead of the bundles, see `./runtimeConfig.js`.
+    // The dev server serves it itself.
+    withRuntimeConfig &&
+      !isLegacy &&
+      new RuntimeConfigPlugin(HtmlWebpackPlugin, {
+        values: getClientEnvironment.getAppEnvironment(),
+        emit: isProduction,
+      }),
+    // This gives some necessary context to module not found errors, such as
+    // the requesting resource.
+    new ModuleNotFoundPlugin(paths.appPath),
+    // Writes `src/routes.generated.tsx` from `src/routes`, see `./routes.js`.
+    fs.existsSync(paths.appRoutes) && new RoutesPlugin(),
+    // Makes some environment variables available to the JS code, for example:
+    // if (process.env.NODE_ENV === 'production') { ... }. See `./env.js`.
+    // It is absolutely essential that NODE_ENV is set to production
+    // during a production build.
+    // Otherwise React will be compiled in the very slow development mode.
+    new webpack.DefinePlugin(env.stringified),
+    // Watcher doesn't work well if you mistype casing in a path so we use
+    // a plugin that prints an error when you attempt to do this.
+    // See https://github.com/facebook/create-react-app/issues/240
+    isDev && new CaseSensitivePathsPlugin(),
+    // If you require a missing module and then `npm install` it, you still have
+    // to restart the development server for webpack to discover it. This plugin
+    // makes the discovery automatic so you don't have to restart.
+    // See https://github.com/facebook/create-react-app/issues/186
+    isDev && new WatchMissingNodeModulesPlugin(paths.appNodeModules),
+    // Experimental hot reloading for React .
+    // https://github.com/facebook/react/tree/master/packages/react-refresh
+    shouldUseReactRefresh &&
+      new ReactRefreshWebpackPlugin({
+        overlay: {
+          entry: webpackDevClientEntry,
+          // The expected exports are slightly different from what the overlay exports,
+          // so an interop is included here to enable feedback on module-level errors.
+          module: reactRefreshOverlayEntry,
+          // Since we ship a custom dev client and overlay integration,
+          // the bundled socket handling logic can be eliminated.
+          sockIntegration: false,
+        },
+      }),
+    // Inlines the webpack runtime script. This script is too small to warrant
+    // a network request.
+    // https://github.com/facebook/create-react-app/issues/5358
+    isProduction &&
+      shouldInlineRuntimeChunk &&
+      new InlineChunkHtmlPlugin(HtmlWebpackPlugin, [/runtime-.+[.]js/]),
+    !isDev &&
+      new MiniCssExtractPlugin({
+        // Options similar to the same options in webpackOptions.output
+        // both options are optional
+        filename: 'static/css/[name].[contenthash:8].css',
+        chunkFilename: 'static/css/[name].[contenthash:8].chunk.css',
+        // Adds the integrity to lazily loaded stylesheets.
+        insert: subresourceIntegrity ? insertStylesheet : undefined,
+      }),
+    isProduction &&
+      !isLegacy &&
+      new WebpackManifestPlugin({
+        fileName: 'asset-manifest.json',
+        publicPath: paths.publicUrlOrPath,
+        generate: (seed, files, entrypoints) => {
+          const manifestFiles = files
+            .filter((file) => !/\.(gz|br)$/.test(file.path))
+            // Moved out of build/ after the build.
+            .filter((file) => !hideSourceMaps || !file.path.endsWith('.map'))
+            .reduce((manifest, file) => {
+              manifest[file.name || ''] = file.path;
+              return manifest;
+            }, seed);
+          const entrypointFiles = Object.keys(entrypoints).reduce(
+            (files, name) => {
+              files[name] = entrypoints[name].filter(
+                (fileName) => !fileName.endsWith('.map')
+              );
+              return files;
+            },
+            {}
+          );
+          const byPath = (byFile) =>
+            Object.keys(byFile).reduce((result, file) => {
+              result[paths.publicUrlOrPath + file] = byFile[file];
+              return result;
+            }, {});
+          // The scripts of the legacy compilation, see `./differentialBuild.js`.
+          const legacy = isModern
+            ? getLegacyManifest(legacyBuild, { includeMaps: !hideSourceMaps })
+            : { files: {}, integrity: {}, compressed: {} };
+          Object.keys(legacy.files).forEach((name) => {
+            manifestFiles[name] = paths.publicUrlOrPath + legacy.files[name];
+          });
+
+          return {
+            files: manifestFiles,
+            entrypoints: entrypointFiles,
+            legacyEntrypoints: legacy.entrypoints,
+            // Sizes of the precompressed `.gz`/`.br` siblings.
+            compressed: byPath({
+              ...assetPipeline.getCompressedSizes(),
+              ...legacy.compressed,
+            }),
+            integrity: subresourceIntegrity
+              ? byPath({
+                  ...subresourceIntegrity.getIntegrity(),
+                  ...legacy.integrity,
+                })
+              : undefined,
+          };
+        },
+      }),
+    // Generate a service worker script that will precache, and keep up to date,
+    // the HTML & assets that are part of the webpack build.
+    // `src/serviceWorkerRegistration.ts` registers it by the same file name.
+    withServiceWorker &&
+      !isLegacy &&
+      new InjectManifest({
+        swSrc: paths.swSrc,
+        swDest: 'service-worker.js',
+        webpackCompilationPlugins: [
+          new webpack.DefinePlugin({
+            __RUNTIME_CACHING__: JSON.stringify(
+              getRuntimeCaching(overrides.serviceWorker)
+            ),
+            __PAGES__: JSON.stringify(
+              pages.map(({ urlPrefix, filename }) => ({ urlPrefix, filename }))
+            ),
+          }),
+        ],
+        dontCacheBustURLsMatching: /\.[0-9a-f]{8}\./,
+        // env-config.js is rewritten after the build, so it can't be
+        // precached with a build-time revision.
+        exclude: [
+          /\.map$/,
+          /asset-manifest\.json$/,
+          /LICENSE/,
+          /env-config\.js$/,
+        ],
+        // Bump up the default maximum size (2mb) that's precached,
+        // to make lazy-loading failure scenarios less likely.
+        // See https://github.com/cra-template/pwa/issues/13#issuecomment-722667270
+        maximumFileSizeToCacheInBytes: 5 * 1024 * 1024,
+      }),
+    !isLegacy && new ForkTsCheckerWebpackPlugin({ async: !isDev }),
+    subresourceIntegrity,
+    assetPipeline,
+    isLegacy && legacyBuild,
+    isModern && new ModuleScriptsPlugin(HtmlWebpackPlugin, legacyBuild),
+    ...(overrides.plugins || []),
+  ].filter(Boolean);
+
+  const config = {
+    mode,
+    entry: pages.reduce((entry, page) => {
+      entry[page.name] = page.entry;
+      return entry;
+    }, {}),
+    output: {
+      // The build folder. The dev server serves from memory, so it's only
+      // written to in production.
+      path: isProduction ? paths.appBuild : undefined,
+      // Add /* filename */ comments to generated require()s in the output.
+      pathinfo: isDev,
+      filename: isProduction
+        ? `static/js/[name]${scriptSuffix}.[contenthash:8].js`
+        : 'static/js/[name].js',
+      chunkFilename: isProduction
+        ? `static/js/[name]${scriptSuffix}.[contenthash:8].chunk.js`
+        : 'static/js/[name].chunk.js',
+      // webpack uses `publicPath` to determine where the app is being served from.
+      // It requires a trailing slash, or the file assets will get an incorrect path.
+      // We inferred the "public path" (such as / or /my-project) from homepage.
+      publicPath: paths.publicUrlOrPath,
+      // Point sourcemap entries to original disk location (format as URL on Windows)
+      devtoolModuleFilenameTemplate: isProduction
+        ? (info) =>
+            path
+              .relative(paths.appSrc, info.absoluteResourcePath)
+              .replace(/\\/g, '/')
+        : (info) =>
+            path.resolve(info.absoluteResourcePath).replace(/\\/g, '/'),
+      // this defaults to 'window', but by setting it to 'this' then
+      // module chunks which are built will work in web workers as well.
+      globalObject: 'this',
+    },
+    optimization: isProduction
+      ? {
+          minimize: true,
+          minimizer: [
+            // This is only used in production mode
+            new TerserPlugin({
+              terserOptions: {
+                // Terser stores the parsed file in `parse`, which the next
+                // compilation of a watching compiler then fails to serialize.
+                // It's left out there; terser 5 parses any ecma version.
+                ...(!watch && {
+                  parse: {
+                    // We want terser to parse ecma 8 code. However, we don't want it
+                    // to apply any minification steps that turns valid ecma 5 code
+                    // into invalid ecma 5 code. This is why the 'compress' and 'output'
+                    // sections only apply transformations that are ecma 5 safe
+                    // https://github.com/facebook/create-react-app/pull/4234
+                    ecma: 2017,
+                  },
+                }),
+                compress: {
+                  ecma: isModern ? 2017 : 5,
+                  // Disabled because of an issue with Uglify breaking seemingly valid code:
+                  // https://github.com/facebook/create-react-app/issues/2376
+                  // Pending further investigation:
+                  // https://github.com/mishoo/UglifyJS2/issues/2011
+                  comparisons: false,
+                  // Disabled because of an issue with Terser breaking valid code:
+                  // https://github.com/facebook/create-react-app/issues/5250
+                  // Pending further investigation:
+                  // https://github.com/terser-js/terser/issues/120
+                  inline: 2,
+                },
+                mangle: { safari10: true },
+                // Added for profiling in devtools
+                keep_classnames: isEnvProductionProfile,
+                keep_fnames: isEnvProductionProfile,
+                output: {
+                  ecma: isModern ? 2017 : 5,
+                  comments: false,
+                  // Turned on because emoji and regex is not minified properly using default
+                  // https://github.com/facebook/create-react-app/issues/2488
+                  ascii_only: true,
+                },
+              },
+              parallel: process.env.CI ? false : true,
+            }),
+            new OptimizeCSSAssetsPlugin({
+              cssProcessorOptions: {
+                // Required here so development never loads it.
+                parser: require('postcss-safe-parser'),
+                map: shouldUseSourceMap
+                  ? {
+                      // `inline: false` forces the sourcemap to be output into a
+                      // separate file
+                      inline: false,
+                      // `annotation: true` appends the sourceMappingURL to the end of
+                      // the css file, helping the browser find the sourcemap
+                      annotation: !hideSourceMaps,
+                    }
+                  : false,
+              },
+              cssProcessorPluginOptions: {
+                preset: [
+                  'default',
+                  { minifyFontValues: { removeQuotes: false } },
+                ],
+              },
+            }),
+          ],
+          // Automatically split vendor and commons
+          // https://twitter.com/wSokra/status/969633336732905474
+          // https://medium.com/webpack/webpack-4-code-splitting-chunk-graph-and-the-splitchunks-optimization-be739a861366
+          splitChunks: {
+            chunks: 'all',
+            minSize: 10000,
+            maxSize: 100000,
+            minRemainingSize: 0,
+            minChunks: 1,
+            maxAsyncRequests: 30,
+            maxInitialRequests: 30,
+            enforceSizeThreshold: 50000,
+            cacheGroups: {
+              defaultVendors: {
+                test: /[\\/]node_modules[\\/]/,
+                priority: -10,
+                reuseExistingChunk: true,
+              },
+              default: {
+                minChunks: 2,
+                priority: -20,
+                reuseExistingChunk: true,
+              },
+            },
+          },
+          // Keep the runtime chunk separated to enable long term caching
+          // https://twitter.com/wSokra/status/969679223278505985
+          // https://github.com/facebook/create-react-app/issues/5358
+          runtimeChunk: {
+            name: (entrypoint) => `runtime-${entrypoint.name}`,
+          },
+        }
+      : undefined,
+    module: {
+      rules: [
+        {
+          test: /\.(ts|js)x?$/i,
+          exclude: /node_modules/,
+          // Presets live in `.babelrc.js` so every tool that compiles `src/`
+          // uses the same ones.
+          loader: require.resolve('babel-loader'),
+          options: { caller: { modern: isModern } },
+        },
+        { oneOf: rules },
+      ],
+    },
+    resolve: {
+      extensions: paths.moduleFileExtensions.map((ext) => `.${ext}`),
+      alias: {
+        src: paths.appSrc,
+        ...overrides.alias,
+      },
+      plugins: [
+        // Prevents users from importing files from outside of src/ (or node_modules/).
+        // This often causes confusion because we only process files within src/ with babel.
+        // To fix this, we prevent you from importing files out of src/ -- if you'd like to,
+        // please link the files into your node_modules/ and let module-resolution kick in.
+        // Make sure your source files are compiled, as they will not be processed in any way.
+        new ModuleScopePlugin(paths.appSrc, [
+          paths.appPackageJson,
+          reactRefreshOverlayEntry,
+        ]),
+      ],
+    },
+    plugins,
+    devtool: isDev
+      ? 'inline-source-map'
+      : shouldUseSourceMap
+      ? hideSourceMaps
+        ? 'hidden-source-map'
+        : 'source-map'
+      : false,
+    // Only used by `webpack serve` (`npm run dev:fast`); `scripts/start.js`
+    // configures its server through `./devServer.config.js`.
+    devServer: isDev
+      ? {
+          contentBase: paths.appBuild,
+          historyApiFallback: {
+            index: paths.publicUrlOrPath + getFallbackPage(pages).filename,
+            rewrites: getHistoryRewrites(pages, paths.publicUrlOrPath),
+          },
+          port: process.env.PORT || 5678,
+          open: true,
+          hot: true,
+          before: (app) => {
+            if (withRuntimeConfig) {
+              app.use(
+                runtimeConfigMiddleware(getClientEnvironment.getAppEnvironment)
+              );
+            }
+          },
+        }
+      : undefined,
+  };
+
+  if (isServer) {
+    // The same pages, compiled into one file per page that Node can require
+    // and that exports `renderPage()` of `src/mount.server.tsx`. `.server`
+    // files take the place of their browser counterparts.
+    Object.assign(config, {
+      target: 'node',
+      entry: pages.reduce((entry, page) => {
+        entry[page.name] = [page.entry, paths.appMountServer];
+        return entry;
+      }, {}),
+      output: {
+        path: paths.appPrerenderCache,
+        filename: '[name].js',
+        publicPath: paths.publicUrlOrPath,
+        library: { type: 'commonjs2' },
+      },
+      optimization: { minimize: false },
+      plugins: [
+        new ModuleNotFoundPlugin(paths.appPath),
+        new webpack.DefinePlugin(env.stringified),
+        new webpack.optimize.LimitChunkCountPlugin({ maxChunks: 1 }),
+      ],
+      devtool: false,
+    });
+    config.resolve.extensions = [
+      ...config.resolve.extensions.map((ext) => `.server${ext}`),
+      ...config.resolve.extensions,
+    ];
+  }
+
+  if (variant) {
+    // webpack's own code follows the target, so the modern runtime doesn't
+    // wait for the legacy one; the legacy compilation runs first and feeds
+    // `legacyBuild`.
+    Object.assign(config, {
+      name: variant,
+      target: isModern ? ['web', 'es2017'] : 'browserslist',
+      dependencies: isModern ? ['legacy'] : [],
+    });
+  }
+
+  // Last, as it's versioned by the rest of the config, see `./buildCache.js`.
+  config.cache = getCacheConfig(config, { mode, target, variant });
+
+  return overrides.webpack
+    ? overrides.webpack(config, {
+        mode,
+        appMode: process.env.APP_MODE,
+        target,
+        variant,
+        paths,
+        env,
+      }) || config
+    : config;
+}
+
+module.exports = createWebpackConfig;
@@ -0,0 +1,12 @@
+'use strict';
+
+const fs = require('fs');
+
+// Writes a generated file only when its content changes, so watchers don't
+// rebuild for nothing.
+function writeIfChanged(file, source) {
+  const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+  if (current !== source) fs.writeFileSync(file, source);
+}
+
+module.exports = writeIfChanged;
@@ -0,0 +1,147 @@
+'use strict';
+
+// Offline bundle analysis of `build/bundle-stats.json`:
+//   node scripts/analyze.js            write the HTML treemap report
+//   node scripts/analyze.js --build    run `build --stats` first
+//   node scripts/analyze.js --why <module>
+//                                      print the import chains that pull
+//                                      a module into the bundle
+
+const logger = require('../config/logger').child('analyze');
+const { log, error, warn, info, print } = logger;
+
+process.on('unhandledRejection', (err) => {
+  error('Unhandled rejection', err);
+  throw err;
+});
+
+const fs = require('fs-extra');
+const path = require('path');
+const bfj = require('bfj');
+const chalk = require('react-dev-utils/chalk');
+const spawnSync = require('child_process').spawnSync;
+const paths = require('../config/paths');
+const {
+  MEASURES,
+  buildChunkTree,
+  createModuleIndex,
+  findImportChains,
+  findModules,
+  selectCompilationStats,
+} = require('../config/bundleAnalyzer');
+const renderBundleReport = require('../config/bundleReport');
+const { formatSize } = require('../config/fileSizes');
+const getArgValue = require('../config/getArgValue');
+
+const argv = process.argv.slice(2);
+const statsFile = path.join(paths.appBuild, 'bundle-stats.json');
+const reportFile = path.join(paths.appSizeReports, 'report.html');
+
+function runBuild() {
+  info('Building with --stats...');
+  const result = spawnSync(
+    process.execPath,
+    [require.resolve('./build'), '--stats'],
+    { stdio: 'inherit' }
+  );
+
+  // A build that fails its size budgets still wrote the stats, and that's
+  // exactly when you want to look at them.
+  if (result.status !== 0) {
+    if (!fs.existsSync(statsFile)) process.exit(result.status || 1);
+    warn('The build failed, analyzing the stats it wrote anyway.');
+  }
+}
+
+function printWhy(index, query) {
+  const names = findModules(index, query);
+  if (!names.length) {
+    error(`No module matches "${query}".`);
+    process.exit(1);
+  }
+
+  names.forEach((name) => {
+    log(`\nWhy is ${chalk.cyan(name)} included?`);
+    const chains = findImportChains(index, name);
+    if (!chains.length) log('  No import chain recorded.');
+
+    chains.forEach((chain, chainIndex) => {
+      const lines = chain.map((step, stepIndex) => {
+        const prefix =
+          stepIndex === 0
+            ? `  ${chainIndex + 1}. `
+            : `     ${'  '.repeat(stepIndex - 1)}└ `;
+        const how = step.type
+          ? chalk.gray(
+              ` (${step.type}${step.request ? ` "${step.request}"` : ''})`
+            )
+          : '';
+        return prefix + step.name + how;
+      });
+      print(lines.join('\n'), chain);
+    });
+  });
+}
+
+function writeReport(stats, index) {
+  const chunks = buildChunkTree(stats, paths.appBuild);
+  const why = {};
+  chunks.forEach((chunk) =>
+    chunk.packages.forEach((pkg) =>
+      pkg.modules.forEach((module) => {
+        if (!why[module.name]) {
+          why[module.name] = findImportChains(index, module.name);
+        }
+      })
+    )
+  );
+
+  fs.outputFileSync(
+    reportFile,
+    renderBundleReport({
+      name: require(paths.appPackageJson).name,
+      builtAt: new Date(stats.builtAt).toISOString(),
+      measures: MEASURES,
+      chunks,
+      why,
+    })
+  );
+
+  log('Chunks (parsed / gzip / brotli):');
+  chunks
+    .sort((a, b) => b.sizes.parsed - a.sizes.parsed)
+    .forEach((chunk) =>
+      print(
+        `  ${chunk.name.padEnd(20)} ${[
+          chunk.sizes.parsed,
+          chunk.sizes.gzip,
+          chunk.sizes.brotli,
+        ]
+          .map(formatSize)
+          .join(' / ')}`,
+        { chunk: chunk.name, sizes: chunk.sizes }
+      )
+    );
+  info(
+    `\nReport written to ${chalk.cyan(
+      path.relative(process.cwd(), reportFile)
+    )}.`
+  );
+}
+
+if (argv.includes('--build') || !fs.existsSync(statsFile)) runBuild();
+
+bfj
+  .read(statsFile)
+  .then(selectCompilationStats)
+  .then((stats) => {
+    const index = createModuleIndex(stats);
+    const query = getArgValue('--why');
+
+    if (query) printWhy(index, query);
+    else writeReport(stats, index);
+  })
+  .catch((err) => {
+    error(err.message || 'Undefined error', err);
+    process.exit(1);
+  });
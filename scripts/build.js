@@ -3,8 +3,14 @@
 // Do this as the first thing so that any code reading it knows the right env.
 process.env.BABEL_ENV = 'production';
 process.env.NODE_ENV = 'production';
+// `--mode <name>` builds with .env.<name> and its overrides, see config/env.js.
+const mode = require('../config/getArgValue')('--mode');
+if (mode) {
+  process.env.APP_MODE = mode;
+}
 
-const { log, error, warn, info } = require('../config/logger');
+const logger = require('../config/logger').child('build');
+const { log, error, warn, info } = logger;
 
 // Makes the script crash on unhandled rejections instead of silently
 // ignoring them. In the future, promise rejections that are not handled will
@@ -17,13 +23,39 @@ process.on('unhandledRejection', (err) => {
 // Ensure environment variables are read.
 require('../config/env');
 
+const path = require('path');
 const chalk = require('react-dev-utils/chalk');
 const fs = require('fs-extra');
+const chokidar = require('chokidar');
 const bfj = require('bfj');
 const webpack = require('webpack');
-const config = require('../config/webpack.prod.config');
+const createWebpackConfig = require('../config/webpack.config');
 const paths = require('../config/paths');
+const { loadOverrides } = require('../config/overrides');
+const {
+  loadBudgets,
+  checkBudgets,
+  printBudgetOffenders,
+  writeBudgetReport,
+} = require('../config/budgets');
+const sizeHistory = require('../config/sizeHistory');
+const getArgValue = require('../config/getArgValue');
 const checkRequiredFiles = require('react-dev-utils/checkRequiredFiles');
+const { getPages } = require('../config/pages');
+const { verifyEnvSchema } = require('../config/envSchema');
+const { prerender } = require('../config/prerender');
+const { getSourceMapDir, moveSourceMaps } = require('../config/sourceMaps');
+const {
+  isDifferentialBuild,
+  LegacyBuildPlugin,
+} = require('../config/differentialBuild');
+const {
+  isCacheDisabled,
+  clearCache,
+  summarizeCache,
+  formatCacheSummary,
+} = require('../config/buildCache');
+const { syncPublicFile, printRebuildSummary } = require('../config/watchBuild');
 const formatWebpackMessages = require('react-dev-utils/formatWebpackMessages');
 const FileSizeReporter = require('react-dev-utils/FileSizeReporter');
 const printBuildError = require('react-dev-utils/printBuildError');
@@ -34,24 +66,49 @@ const measureFileSizesBeforeBuild =
 const printFileSizesAfterBuild = FileSizeReporter.printFileSizesAfterBuild;
 
 // Warn and crash if required files are missing
-if (!checkRequiredFiles([paths.appHtml, paths.appIndexJs])) {
-  error('Either fields are missing:', {
-    'paths.appHtml': paths.appHtml,
-    'paths.appIndexJs': paths.appIndexJs,
-  });
+const pages = getPages();
+if (
+  !checkRequiredFiles(
+    pages.reduce((files, page) => files.concat(page.template, page.entry), [])
+  )
+) {
+  error('Either fields are missing:', { pages });
+  process.exit(1);
+}
+
+// Crash on env variables that don't match env.schema.js
+if (!verifyEnvSchema()) {
   process.exit(1);
 }
 
 // These sizes are pretty large. We'll warn for bundles exceeding them.
+// Budgets that fail the build are configured instead, see config/budgets.js.
 const WARN_AFTER_BUNDLE_GZIP_SIZE = 512 * 1024;
 const WARN_AFTER_CHUNK_GZIP_SIZE = 1024 * 1024;
 
+const overrides = loadOverrides({ mode: 'production', paths });
+const budgets = loadBudgets(overrides);
+
 const isInteractive = process.stdout.isTTY;
 
 const argv = process.argv.slice(2);
 const writeStatsJson = argv.indexOf('--stats') !== -1;
+// See config/buildCache.js for `--no-cache`.
+const shouldClearCache = argv.indexOf('--clear-cache') !== -1;
+// Rebuild into the build folder on changes, for a backend that serves it.
+const watchMode = argv.indexOf('--watch') !== -1;
 
-info('Build server settings:', { argv, isInteractive });
+// Label this build is recorded under in the size history, and the label of
+// the build to compare it with (by default the previously recorded one).
+const sizeLabel = getArgValue('--size-label') || sizeHistory.getDefaultLabel();
+const sizeBaseline =
+  getArgValue('--size-baseline') || process.env.SIZE_BASELINE;
+
+logger.debug('Build server settings:', { argv, isInteractive });
+
+if (process.env.APP_MODE !== process.env.NODE_ENV) {
+  info(`Using the ${chalk.cyan(process.env.APP_MODE)} mode.`);
+}
 
 let oldSize = 0;
 
@@ -69,14 +126,18 @@ checkBrowsers(paths.appPath, isInteractive)
     fs.emptyDirSync(paths.appBuild);
     // Merge with the public folder
     copyPublicFolder();
+    if (shouldClearCache) {
+      clearCache();
+      info('Cleared the build cache.');
+    }
     // Start the webpack build
-    return build(previousFileSizes);
+    return watchMode ? watch() : build(previousFileSizes);
   })
   .then(
-    async ({ stats, previousFileSizes, warnings }) => {
+    async ({ stats, allStats, previousFileSizes, warnings }) => {
       if (warnings.length) {
         warn('Compiled with warnings.\n', warnings.join('\n\n'));
-        console.log();
+        log();
         warn(
           '\nSearch for the ' +
             chalk.underline('keywords') +
@@ -88,6 +149,22 @@ checkBrowsers(paths.appPath, isInteractive)
       } else {
         info('Compiled successfully.\n');
       }
+
+      printCacheSummary(allStats);
+
+      // Renders the routes in the `prerender` field of boilerplate.config.js.
+      await prerender(overrides, pages);
+
+      // SOURCEMAP_DIR keeps the source maps out of the deployed files.
+      const sourceMapDir = getSourceMapDir();
+      if (sourceMapDir && process.env.GENERATE_SOURCEMAP) {
+        const count = moveSourceMaps(sourceMapDir);
+        info(
+          `Moved ${count} source map(s) to ` +
+            `${chalk.cyan(path.relative(process.cwd(), sourceMapDir))}.\n`
+        );
+      }
+
       const before = getFilesTotalSize(previousFileSizes);
 
       const newFiles = await measureFileSizesBeforeBuild(paths.appBuild);
@@ -98,15 +175,25 @@ checkBrowsers(paths.appPath, isInteractive)
         after: Math.round(after) / 1000,
       });
 
-      log('File sizes after gzip:\n');
-      printFileSizesAfterBuild(
-        stats,
-        previousFileSizes,
-        paths.appBuild,
-        WARN_AFTER_BUNDLE_GZIP_SIZE,
-        WARN_AFTER_CHUNK_GZIP_SIZE
-      );
-      console.log();
+      // react-dev-utils prints the table itself, which a log parser can't
+      // read.
+      if (logger.isJson) {
+        log('File sizes after gzip', newFiles.sizes);
+      } else {
+        log('File sizes after gzip:\n');
+        printFileSizesAfterBuild(
+          allStats,
+          previousFileSizes,
+          paths.appBuild,
+          WARN_AFTER_BUNDLE_GZIP_SIZE,
+          WARN_AFTER_CHUNK_GZIP_SIZE
+        );
+        log();
+      }
+
+      recordSizeHistory(stats);
+
+      if (budgets) checkBuildBudgets(stats);
     },
     (err) => {
       const tscCompileOnError = process.env.TSC_COMPILE_ON_ERROR === 'true';
@@ -130,9 +217,27 @@ checkBrowsers(paths.appPath, isInteractive)
 
 // Create the production build and print the deployment instructions.
 function build(previousFileSizes) {
-  info('Creating an optimized production build...');
+  const differential = isDifferentialBuild();
+  info(
+    differential
+      ? 'Creating an optimized production build (modern and legacy)...'
+      : 'Creating an optimized production build...'
+  );
 
-  const compiler = webpack(config);
+  // See config/differentialBuild.js.
+  const legacyBuild = new LegacyBuildPlugin();
+  const compiler = webpack(
+    differential
+      ? ['legacy', 'modern'].map((variant) =>
+          createWebpackConfig({
+            mode: 'production',
+            overrides,
+            variant,
+            legacyBuild,
+          })
+        )
+      : createWebpackConfig({ mode: 'production', overrides })
+  );
 
   return new Promise((resolve, reject) => {
     compiler.run((err, stats) => {
@@ -184,14 +289,23 @@ function build(previousFileSizes) {
       }
 
       const resolveArgs = {
-        stats,
+        // The size history and budgets measure the modern compilation, the
+        // one most browsers load.
+        stats: differential
+          ? stats.stats.find((child) => child.compilation.name === 'modern')
+          : stats,
+        allStats: stats,
         previousFileSizes,
         warnings: messages.warnings,
       };
 
+      // The modern compilation's stats in a differential build.
       if (writeStatsJson) {
         return bfj
-          .write(paths.appBuild + '/bundle-stats.json', stats.toJson())
+          .write(
+            paths.appBuild + '/bundle-stats.json',
+            resolveArgs.stats.toJson()
+          )
           .then(() => resolve(resolveArgs))
           .catch((error) => reject(new Error(error)));
       }
@@ -201,6 +315,100 @@ function build(previousFileSizes) {
   });
 }
 
+// Build, then rebuild into the build folder whenever a source or a file of
+// the public folder changes, until stopped. It's a single build for the
+// browserslist query, without prerendering, size history or budgets. The
+// promise only settles if watching fails.
+function watch() {
+  info('Creating a production build, watching for changes...');
+
+  const compiler = webpack(
+    createWebpackConfig({ mode: 'production', overrides, watch: true })
+  );
+
+  return new Promise((resolve, reject) => {
+    const watching = compiler.watch({}, (err, stats) => {
+      if (err) {
+        watching.close(() => {});
+        return reject(err);
+      }
+      printRebuildSummary(compiler, stats);
+    });
+
+    const publicWatcher = chokidar
+      .watch(paths.appPublic, { ignoreInitial: true })
+      .on('all', syncPublicFile);
+
+    ['SIGINT', 'SIGTERM'].forEach((sig) => {
+      process.on(sig, () => {
+        publicWatcher.close();
+        watching.close(() => process.exit());
+      });
+    });
+  });
+}
+
+// Add this build to the size history and diff it against the baseline.
+function recordSizeHistory(stats) {
+  const current = sizeHistory.recordSizes(
+    sizeLabel,
+    sizeHistory.measureChunks(stats, paths.appBuild)
+  );
+  const history = sizeHistory.readHistory();
+  const baseline = sizeHistory.findEntry(history, sizeBaseline, current);
+
+  if (!baseline || baseline === current) {
+    warn(
+      `No earlier build${
+        sizeBaseline ? ` labelled "${sizeBaseline}"` : ''
+      } in the size history to compare with.\n`
+    );
+    return;
+  }
+
+  const diff = sizeHistory.diffSizes(baseline, current);
+  const files = sizeHistory.writeSizeDiff(diff);
+  log('Size changes:');
+  sizeHistory.printSizeDiffSummary(diff);
+  log(
+    `\n  See ${chalk.cyan(
+      path.relative(process.cwd(), files.markdown)
+    )} for details.\n`
+  );
+}
+
+// Fail the build when it is over any of the configured size budgets.
+function checkBuildBudgets(stats) {
+  const report = checkBudgets(stats, paths.appBuild, budgets);
+  writeBudgetReport(report);
+
+  if (report.passed) {
+    info('All bundle size budgets are met.\n');
+    return;
+  }
+
+  error('Bundle size budgets exceeded:\n');
+  printBudgetOffenders(report);
+  log(
+    `\nThe full report is in ${chalk.cyan(
+      path.relative(process.cwd(), paths.appBudgetReport)
+    )}.\n`
+  );
+  process.exit(1);
+}
+
+function printCacheSummary(stats) {
+  if (isCacheDisabled()) {
+    log('Build cache: disabled (--no-cache).\n');
+    return;
+  }
+  log('Build cache:');
+  summarizeCache(stats).forEach((summary) => {
+    log(`  ${formatCacheSummary(summary)}`);
+  });
+  log();
+}
+
 function copyPublicFolder() {
   fs.copySync(paths.appPublic, paths.appBuild, {
     dereference: true,
@@ -0,0 +1,77 @@
+'use strict';
+
+// Rewrite `env-config.js` of a build made with RUNTIME_CONFIG=true from the
+// current environment, e.g. at deploy or when the container starts:
+//   node scripts/env-config.js [build folder]
+// Variables that aren't set keep the value they had at build time.
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'production';
+
+const { log, error, info, print } = require('../config/logger').child(
+  'env-config'
+);
+
+// Read .env files the same way the build does.
+const { getAppEnvironment } = require('../config/env');
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('react-dev-utils/chalk');
+const paths = require('../config/paths');
+const { loadEnvSchema, validateEnv } = require('../config/envSchema');
+const {
+  RUNTIME_CONFIG_FILE,
+  renderRuntimeConfig,
+  parseRuntimeConfig,
+} = require('../config/runtimeConfig');
+
+const buildFolder = path.resolve(process.argv[2] || paths.appBuild);
+const configFile = path.join(buildFolder, RUNTIME_CONFIG_FILE);
+
+if (!fs.existsSync(configFile)) {
+  error(
+    `${chalk.yellow(configFile)} not found. Build with RUNTIME_CONFIG=true ` +
+      'to emit it.'
+  );
+  process.exit(1);
+}
+
+const buildValues = parseRuntimeConfig(fs.readFileSync(configFile, 'utf8'));
+
+// A variable the build already has a value for isn't missing.
+const schema = loadEnvSchema();
+const problems = schema
+  ? validateEnv(schema).problems.filter(
+      ({ name, problem }) =>
+        !(name in buildValues && problem === 'is required but not set')
+    )
+  : [];
+if (problems.length) {
+  error('The environment does not match env.schema.js:');
+  print(
+    problems
+      .map(({ name, problem }) => `  - ${chalk.bold(name)} ${problem}`)
+      .join('\n'),
+    problems
+  );
+  process.exit(1);
+}
+
+const currentValues = getAppEnvironment();
+const values = { ...buildValues };
+Object.keys(currentValues)
+  .filter((key) => process.env[key] !== undefined)
+  .forEach((key) => (values[key] = currentValues[key]));
+fs.writeFileSync(configFile, renderRuntimeConfig(values));
+
+// Precompressed copies would still serve the old values.
+['.gz', '.br'].forEach((extension) => fs.removeSync(configFile + extension));
+
+const changed = Object.keys(values).filter(
+  (key) => values[key] !== buildValues[key]
+);
+info(
+  `Wrote ${chalk.cyan(path.relative(process.cwd(), configFile))} ` +
+    `(${changed.length} of ${Object.keys(values).length} value(s) changed).`
+);
+changed.forEach((key) => log(`  ${key}`));
@@ -0,0 +1,139 @@
+'use strict';
+
+// Serve the production build the way production does, to catch service
+// worker, base path and caching problems before they are deployed:
+//   node scripts/serve.js
+// Uses PORT, HOST and the HTTPS settings of the dev server.
+
+process.env.BABEL_ENV = 'production';
+process.env.NODE_ENV = 'production';
+
+const { log, error, warn, info } = require('../config/logger').child('serve');
+
+process.on('unhandledRejection', (err) => {
+  error('Unhandled rejection', err);
+  throw err;
+});
+
+// Ensure environment variables are read, PUBLIC_URL included.
+require('../config/env');
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const express = require('express');
+const compression = require('compression');
+const historyApiFallback = require('connect-history-api-fallback');
+const chalk = require('react-dev-utils/chalk');
+const redirectServedPath = require('react-dev-utils/redirectServedPathMiddleware');
+const {
+  choosePort,
+  prepareUrls,
+} = require('react-dev-utils/WebpackDevServerUtils');
+const paths = require('../config/paths');
+const getHttpsConfig = require('../config/getHttpsConfig');
+const { localCaMiddleware } = require('../config/localCertificate');
+const { serveBuildFiles } = require('../config/staticFiles');
+const { errorCollectorMiddleware } = require('../config/errorCollector');
+const { vitalsCollectorMiddleware } = require('../config/vitalsCollector');
+const {
+  getPages,
+  getHistoryRewrites,
+  getFallbackPage,
+} = require('../config/pages');
+
+const DEFAULT_PORT = parseInt(process.env.PORT || '5000', 10);
+const HOST = process.env.HOST || '0.0.0.0';
+const protocol = process.env.HTTPS === 'true' ? 'https' : 'http';
+
+const pages = getPages();
+const fallbackPage = getFallbackPage(pages);
+
+if (!fs.existsSync(path.join(paths.appBuild, fallbackPage.filename))) {
+  error(
+    `No build found in ${chalk.yellow(paths.appBuild)}. ` +
+      `Run ${chalk.cyan('npm run build')} first.`
+  );
+  process.exit(1);
+}
+
+// The path the build is served under. An absolute PUBLIC_URL keeps loading
+// the assets from that origin.
+const servedPath = new URL(paths.publicUrlOrPath, 'http://localhost').pathname;
+if (/^https?:\/\//.test(paths.publicUrlOrPath)) {
+  warn(
+    `The build loads its assets from ${chalk.cyan(paths.publicUrlOrPath)}, ` +
+      'not from this server.'
+  );
+}
+
+function createApp(httpsConfig) {
+  const app = express();
+  const build = express.Router();
+
+  if (httpsConfig && httpsConfig.ca) {
+    app.use(localCaMiddleware());
+  }
+  // Error reports of builds made with ERROR_REPORTING_URL=/__errors.
+  app.use(errorCollectorMiddleware());
+  // And Web Vitals of builds made with PERFORMANCE_REPORTING_URL=/__vitals.
+  app.use(vitalsCollectorMiddleware());
+  app.use(redirectServedPath(servedPath));
+
+  const serveFiles = serveBuildFiles(paths.appBuild, fallbackPage.filename);
+  // Files first, then the pages for the URLs that aren't files, as in dev.
+  build.use(compression(), serveFiles);
+  build.use(
+    historyApiFallback({
+      disableDotRule: true,
+      index: `/${fallbackPage.filename}`,
+      rewrites: getHistoryRewrites(pages, '/'),
+    }),
+    serveFiles
+  );
+  app.use(servedPath, build);
+
+  return app;
+}
+
+choosePort(HOST, DEFAULT_PORT)
+  .then((port) => {
+    if (port == null) {
+      error('Port not found');
+      return;
+    }
+
+    const urls = prepareUrls(protocol, HOST, port, servedPath.slice(0, -1));
+    const httpsConfig = getHttpsConfig(urls.lanUrlForConfig);
+    const app = createApp(httpsConfig);
+    const server = httpsConfig
+      ? https.createServer(httpsConfig, app)
+      : http.createServer(app);
+
+    server.on('error', (err) => {
+      error('Unable to start', err);
+      process.exit(1);
+    });
+    server.listen(port, HOST, () => {
+      info(
+        `Serving ${chalk.cyan(path.relative(process.cwd(), paths.appBuild))}:`
+      );
+      log(`  Local:            ${urls.localUrlForTerminal}`);
+      if (urls.lanUrlForTerminal) {
+        log(`  On Your Network:  ${urls.lanUrlForTerminal}`);
+      }
+      log();
+    });
+
+    ['SIGINT', 'SIGTERM'].forEach(function (sig) {
+      process.on(sig, function () {
+        server.close();
+        process.exit();
+      });
+    });
+  })
+  .catch((err) => {
+    error(err.message || 'Undefined error', err);
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+'use strict';
+
+// Compare two builds from the size history without building anything:
+//   node scripts/size-diff.js [--baseline <label>] [--target <label>]
+// The target defaults to the latest build, the baseline to the one before it.
+
+const path = require('path');
+const chalk = require('react-dev-utils/chalk');
+const paths = require('../config/paths');
+const sizeHistory = require('../config/sizeHistory');
+const getArgValue = require('../config/getArgValue');
+const { log, error } = require('../config/logger').child('size-diff');
+
+const history = sizeHistory.readHistory();
+const labels = history.entries.map((entry) => entry.label);
+
+const targetLabel = getArgValue('--target');
+const target = sizeHistory.findEntry(history, targetLabel);
+const baselineLabel = getArgValue('--baseline') || process.env.SIZE_BASELINE;
+const baseline = sizeHistory.findEntry(history, baselineLabel, target);
+
+if (!target || !baseline) {
+  error(
+    `Can't find the ${!target ? 'target' : 'baseline'} build in ${path.relative(
+      process.cwd(),
+      paths.appSizeReports
+    )}.`,
+    { labels }
+  );
+  process.exit(1);
+}
+
+const diff = sizeHistory.diffSizes(baseline, target);
+const files = sizeHistory.writeSizeDiff(diff);
+
+sizeHistory.printSizeDiffSummary(diff);
+log(
+  `\n  Written to ${chalk.cyan(
+    path.relative(process.cwd(), files.markdown)
+  )} and ${chalk.cyan(path.relative(process.cwd(), files.json))}.`
+);
@@ -3,8 +3,14 @@
 // Do this as the first thing so that any code reading it knows the right env.
 process.env.BABEL_ENV = 'development';
 process.env.NODE_ENV = 'development';
+// `--mode <name>` builds with .env.<name> and its overrides, see config/env.js.
+const mode = require('../config/getArgValue')('--mode');
+if (mode) {
+  process.env.APP_MODE = mode;
+}
 
-const { log, error, warn, info } = require('../config/logger');
+const logger = require('../config/logger').child('start');
+const { log, error, warn, info } = logger;
 
 // Makes the script crash on unhandled rejections instead of silently
 // ignoring them. In the future, promise rejections that are not handled will
@@ -19,7 +25,7 @@ require('../config/env');
 
 const webpack = require('webpack');
 const chalk = require('react-dev-utils/chalk');
-const config = require('../config/webpack.dev.config');
+const createWebpackConfig = require('../config/webpack.config');
 const {
   choosePort,
   createCompiler,
@@ -35,15 +41,30 @@ const semver = require('semver');
 const react = require(require.resolve('react', { paths: [paths.appPath] }));
 const clearConsole = require('react-dev-utils/clearConsole');
 const checkRequiredFiles = require('react-dev-utils/checkRequiredFiles');
+const { getPages } = require('../config/pages');
+const { verifyEnvSchema } = require('../config/envSchema');
+const {
+  clearCache,
+  isCacheDisabled,
+  summarizeCache,
+  formatCacheSummary,
+} = require('../config/buildCache');
 const getClientEnvironment = require('../config/env');
 const env = getClientEnvironment(paths.publicUrlOrPath.slice(0, -1));
 
 // Warn and crash if required files are missing
-if (!checkRequiredFiles([paths.appHtml, paths.appIndexJs])) {
-  error('Either fields are missing:', {
-    'paths.appHtml': paths.appHtml,
-    'paths.appIndexJs': paths.appIndexJs,
-  });
+const pages = getPages();
+if (
+  !checkRequiredFiles(
+    pages.reduce((files, page) => files.concat(page.template, page.entry), [])
+  )
+) {
+  error('Either fields are missing:', { pages });
+  process.exit(1);
+}
+
+// Crash on env variables that don't match env.schema.js
+if (!verifyEnvSchema()) {
   process.exit(1);
 }
 
@@ -66,7 +87,7 @@ if (process.env.HOST) {
   log();
 }
 
-info('Dev server settings:', {
+logger.debug('Dev server settings:', {
   tscCompileOnError,
   protocol,
   DEFAULT_PORT,
@@ -74,6 +95,10 @@ info('Dev server settings:', {
   isInteractive,
 });
 
+if (process.env.APP_MODE !== process.env.NODE_ENV) {
+  info(`Using the ${chalk.cyan(process.env.APP_MODE)} mode.`);
+}
+
 const appName = require(paths.appPackageJson).name;
 
 // We require that you explicitly set browsers and do not fall back to
@@ -99,6 +124,13 @@ checkBrowsers(paths.appPath, isInteractive)
         devServer.sockWrite(devServer.sockets, 'errors', errors),
     };
 
+    // See config/buildCache.js for `--no-cache`.
+    if (process.argv.includes('--clear-cache')) {
+      clearCache();
+      info('Cleared the build cache.');
+    }
+
+    const config = createWebpackConfig({ mode: 'development' });
     const compiler = createCompiler({
       appName,
       config,
@@ -110,6 +142,17 @@ checkBrowsers(paths.appPath, isInteractive)
       webpack,
     });
 
+    // How much of the first compilation the cache saved.
+    if (!isCacheDisabled()) {
+      let reported = false;
+      compiler.hooks.done.tap('BuildCache', (stats) => {
+        if (reported) return;
+        reported = true;
+        const [summary] = summarizeCache(stats);
+        info(`Build cache: ${formatCacheSummary(summary)}\n`);
+      });
+    }
+
     // Load proxy config
     const proxySetting = require(paths.appPackageJson).proxy;
     const proxyConfig = prepareProxy(
@@ -0,0 +1,97 @@
+'use strict';
+
+// Resolve a stack trace from the production build to the original sources:
+//   node scripts/symbolicate.js [file] [--maps <dir>]
+// `file` holds the stack trace, or an error report (or a batch of them) as
+// sent by `src/errorReporting.ts`; without it, paste the stack trace and end
+// with Ctrl+D. The maps are read from SOURCEMAP_DIR if set, otherwise from
+// build/. The build must have been made with GENERATE_SOURCEMAP=true.
+
+process.env.BABEL_ENV = 'production';
+process.env.NODE_ENV = 'production';
+
+const { log, error, warn, print } = require('../config/logger').child(
+  'symbolicate'
+);
+
+// Ensure environment variables are read.
+require('../config/env');
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('react-dev-utils/chalk');
+const paths = require('../config/paths');
+const { getSourceMapDir, symbolicate } = require('../config/sourceMaps');
+const getArgValue = require('../config/getArgValue');
+
+const argv = process.argv.slice(2);
+const mapsOption = getArgValue('--maps');
+const mapsDir = mapsOption
+  ? path.resolve(mapsOption)
+  : getSourceMapDir() || paths.appBuild;
+const file = argv.find(
+  (arg, index) => !arg.startsWith('--') && argv[index - 1] !== '--maps'
+);
+
+function readInput() {
+  if (file) return fs.readFileSync(file, 'utf8');
+  if (process.stdin.isTTY) {
+    log('Paste the stack trace, then press Ctrl+D:\n');
+  }
+  return fs.readFileSync(0, 'utf8');
+}
+
+// The stacks to resolve, with a title for each when they come from reports.
+function getStacks(input) {
+  let json;
+  try {
+    json = JSON.parse(input);
+  } catch (e) {
+    return [{ stack: input }];
+  }
+
+  const reports = Array.isArray(json) ? json : json.reports || [json];
+  return reports
+    .filter((report) => report && typeof report.stack === 'string')
+    .map((report) => ({
+      title: [
+        `${report.name || 'Error'}: ${report.message}`,
+        report.route && `on ${report.route}`,
+        report.version && `(version ${report.version})`,
+      ]
+        .filter(Boolean)
+        .join(' '),
+      stack: report.stack,
+    }));
+}
+
+if (!fs.existsSync(mapsDir)) {
+  error(`${chalk.yellow(mapsDir)} doesn't exist.`);
+  process.exit(1);
+}
+
+const stacks = getStacks(readInput());
+if (!stacks.length) {
+  error('The report has no stack trace.');
+  process.exit(1);
+}
+
+let unresolved = 0;
+stacks.forEach(({ title, stack }) => {
+  const result = symbolicate(stack, mapsDir);
+  unresolved += result.frames - result.resolved;
+  print((title ? `${chalk.bold(title)}\n` : '') + result.stack + '\n', {
+    title,
+    frames: result.frames,
+    resolved: result.resolved,
+  });
+});
+
+if (unresolved) {
+  warn(
+    `${unresolved} frame(s) have no source map in ` +
+      `${chalk.cyan(path.relative(process.cwd(), mapsDir) || '.')}. Was the ` +
+      'build made with GENERATE_SOURCEMAP=true, and is it the build the ' +
+      'error comes from?'
+  );
+}
@@ -0,0 +1,58 @@
+'use strict';
+
+// Do this as the first thing so that any code reading it knows the right env.
+process.env.BABEL_ENV = 'test';
+process.env.NODE_ENV = 'test';
+process.env.PUBLIC_URL = '';
+
+const { error } = require('../config/logger').child('test');
+
+// Makes the script crash on unhandled rejections instead of silently
+// ignoring them. In the future, promise rejections that are not handled will
+// terminate the Node.js process with a non-zero exit code.
+process.on('unhandledRejection', (err) => {
+  error('Unhandled rejection', err);
+  throw err;
+});
+
+// Ensure environment variables are read.
+require('../config/env');
+
+const execSync = require('child_process').execSync;
+const jest = require('jest');
+const createJestConfig = require('../config/jest/createJestConfig');
+
+const argv = process.argv.slice(2);
+
+function isInGitRepository() {
+  try {
+    execSync('git rev-parse --is-inside-work-tree', { stdio: 'ignore' });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// CI mode: run every test once. Set by `--ci` or the CI environment variable
+// most CI servers export.
+const isCI =
+  argv.includes('--ci') ||
+  (Boolean(process.env.CI) && process.env.CI.toLowerCase() !== 'false');
+
+if (isCI) {
+  if (!argv.includes('--ci')) argv.push('--ci');
+  // A fresh template has no tests yet; that shouldn't fail the pipeline.
+  argv.push('--passWithNoTests');
+} else if (
+  !argv.includes('--watchAll') &&
+  !argv.includes('--watchAll=false') &&
+  !argv.includes('--coverage')
+) {
+  // Watch mode: only re-run tests related to changed files when git can tell
+  // us which files changed, otherwise watch everything.
+  argv.push(isInGitRepository() ? '--watch' : '--watchAll');
+}
+
+argv.push('--config', JSON.stringify(createJestConfig()));
+
+jest.run(argv);
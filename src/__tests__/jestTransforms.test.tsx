@@ -0,0 +1,25 @@
+import * as React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import classes from '../style.module.scss';
+import logoUrl, { ReactComponent as Logo } from './logo.svg';
+import aliasedClasses from 'src/style.module.scss';
+
+describe('Jest transforms', () => {
+  it('maps CSS Module class names to themselves', () => {
+    expect(classes.title).toBe('title');
+  });
+
+  it('exports the file name of an SVG as default', () => {
+    expect(logoUrl).toBe('logo.svg');
+  });
+
+  it('exports a React component for an SVG', () => {
+    expect(renderToStaticMarkup(<Logo className="logo" />)).toBe(
+      '<svg class="logo">logo.svg</svg>'
+    );
+  });
+
+  it('resolves the src alias to the same module', () => {
+    expect(aliasedClasses).toBe(classes);
+  });
+});
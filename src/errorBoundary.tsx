@@ -0,0 +1,55 @@
+import * as React from 'react';
+
+import { reportError } from './errorReporting';
+
+export type ErrorFallbackProps = { error: Error; reset: () => void };
+
+type ErrorBoundaryProps = {
+  fallback?: React.ComponentType<ErrorFallbackProps>;
+  children: React.ReactNode;
+};
+
+const DefaultFallback = ({ reset }: ErrorFallbackProps) => (
+  <div role="alert">
+    <p>Sorry, something went wrong.</p>
+    <button type="button" onClick={reset}>
+      Try again
+    </button>{' '}
+    <button type="button" onClick={() => window.location.reload()}>
+      Reload the page
+    </button>
+  </div>
+);
+
+// Shows `fallback` instead of the page when rendering it throws, and reports
+// the error (see `errorReporting.ts`). `reset` renders the children again.
+export class ErrorBoundary extends React.Component<
+  ErrorBoundaryProps,
+  { error: Error | null }
+> {
+  constructor(props: ErrorBoundaryProps) {
+    super(props);
+    this.state = { error: null };
+    this.reset = this.reset.bind(this);
+  }
+
+  static getDerivedStateFromError(error: Error) {
+    return { error };
+  }
+
+  componentDidCatch(error: Error, info: React.ErrorInfo) {
+    reportError(error, 'boundary', info.componentStack);
+  }
+
+  reset() {
+    this.setState({ error: null });
+  }
+
+  render() {
+    const { error } = this.state;
+    if (!error) return this.props.children;
+
+    const Fallback = this.props.fallback || DefaultFallback;
+    return <Fallback error={error} reset={this.reset} />;
+  }
+}
@@ -0,0 +1,103 @@
+import type * as ErrorReporting from './errorReporting';
+
+const env = process.env as Record<string, string | undefined>;
+let reporting: typeof ErrorReporting;
+let sendBeacon: jest.Mock;
+
+// A fresh module: it reads ERROR_REPORTING_URL when it's loaded.
+function loadErrorReporting(endpoint?: string) {
+  if (endpoint) env.ERROR_REPORTING_URL = endpoint;
+  else delete env.ERROR_REPORTING_URL;
+  jest.isolateModules(() => {
+    reporting = require('./errorReporting');
+  });
+}
+
+const sentReports = () =>
+  sendBeacon.mock.calls.map(([, body]) => JSON.parse(body).reports);
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  sendBeacon = jest.fn(() => true);
+  Object.defineProperty(navigator, 'sendBeacon', {
+    value: sendBeacon,
+    configurable: true,
+  });
+  loadErrorReporting('/__errors');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete env.ERROR_REPORTING_URL;
+});
+
+describe('reportError', () => {
+  it('sends the reports of a burst together', () => {
+    reporting.reportError(new TypeError('x is undefined'), 'error');
+    reporting.reportError('Request failed', 'unhandledrejection');
+    expect(sendBeacon).not.toHaveBeenCalled();
+
+    jest.runAllTimers();
+
+    expect(sendBeacon).toHaveBeenCalledTimes(1);
+    expect(sendBeacon.mock.calls[0][0]).toBe('/__errors');
+    expect(sentReports()[0]).toEqual([
+      expect.objectContaining({
+        source: 'error',
+        name: 'TypeError',
+        message: 'x is undefined',
+        route: '/',
+      }),
+      expect.objectContaining({
+        source: 'unhandledrejection',
+        name: 'Error',
+        message: 'Request failed',
+      }),
+    ]);
+  });
+
+  it('sends a full batch right away', () => {
+    for (let i = 0; i < 10; i++) {
+      reporting.reportError(new Error(`Error ${i}`), 'error');
+    }
+
+    expect(sentReports()[0]).toHaveLength(10);
+  });
+
+  it('reports the same error only once', () => {
+    const error = new Error('Render failed');
+    reporting.reportError(error, 'boundary', '\n    at App');
+    reporting.reportError(error, 'error');
+    jest.runAllTimers();
+
+    expect(sentReports()[0]).toEqual([
+      expect.objectContaining({
+        source: 'boundary',
+        componentStack: '\n    at App',
+      }),
+    ]);
+  });
+
+  it('includes the latest breadcrumbs', () => {
+    for (let i = 0; i < 25; i++) {
+      reporting.addBreadcrumb('navigation', `/page/${i}`);
+    }
+    reporting.reportError(new Error('Failed'), 'error');
+    jest.runAllTimers();
+
+    const { breadcrumbs } = sentReports()[0][0];
+    expect(breadcrumbs).toHaveLength(20);
+    expect(breadcrumbs[19]).toMatchObject({
+      category: 'navigation',
+      message: '/page/24',
+    });
+  });
+
+  it('sends nothing without ERROR_REPORTING_URL', () => {
+    loadErrorReporting(undefined);
+    reporting.reportError(new Error('Failed'), 'error');
+    jest.runAllTimers();
+
+    expect(sendBeacon).not.toHaveBeenCalled();
+  });
+});
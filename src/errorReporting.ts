@@ -0,0 +1,142 @@
+// Reports uncaught errors, unhandled rejections and the errors caught by
+// `<ErrorBoundary>` to ERROR_REPORTING_URL, in batches. In development they
+// go to the dev server, which prints them (see `config/errorCollector.js`).
+// Without ERROR_REPORTING_URL nothing is sent.
+
+import { sendBeacon } from './sendBeacon';
+
+export type Breadcrumb = {
+  time: string;
+  category: 'navigation' | 'click' | 'console';
+  message: string;
+};
+
+export type ErrorReport = {
+  source: 'error' | 'unhandledrejection' | 'boundary';
+  name: string;
+  message: string;
+  stack?: string;
+  componentStack?: string;
+  version: string;
+  route: string;
+  url: string;
+  time: string;
+  userAgent: string;
+  breadcrumbs: Breadcrumb[];
+};
+
+const MAX_BREADCRUMBS = 20;
+// Reports are sent together when they come in bursts.
+const BATCH_DELAY = 2000;
+const MAX_BATCH = 10;
+// A render loop shouldn't flood the endpoint.
+const MAX_REPORTS = 50;
+
+const endpoint = process.env.ERROR_REPORTING_URL;
+
+let breadcrumbs: Breadcrumb[] = [];
+let queue: ErrorReport[] = [];
+let timer: ReturnType<typeof setTimeout> | undefined;
+let sent = 0;
+// React in development rethrows the errors boundaries catch to `window`.
+const reported = new WeakSet<object>();
+
+export function addBreadcrumb(
+  category: Breadcrumb['category'],
+  message: string
+) {
+  breadcrumbs = [
+    ...breadcrumbs,
+    { time: new Date().toISOString(), category, message },
+  ].slice(-MAX_BREADCRUMBS);
+}
+
+function flush() {
+  if (timer) clearTimeout(timer);
+  timer = undefined;
+  if (!endpoint || !queue.length) return;
+
+  sendBeacon(endpoint, { reports: queue });
+  queue = [];
+}
+
+export function reportError(
+  error: unknown,
+  source: ErrorReport['source'],
+  componentStack?: string
+) {
+  if (!endpoint || sent >= MAX_REPORTS) return;
+  if (error && typeof error === 'object') {
+    if (reported.has(error)) return;
+    reported.add(error);
+  }
+
+  const { name, message, stack } =
+    error instanceof Error
+      ? error
+      : { name: 'Error', message: String(error), stack: undefined };
+  sent++;
+  queue.push({
+    source,
+    name,
+    message,
+    stack,
+    componentStack,
+    version: process.env.APP_VERSION,
+    route: window.location.pathname,
+    url: window.location.href,
+    time: new Date().toISOString(),
+    userAgent: navigator.userAgent,
+    breadcrumbs,
+  });
+
+  if (queue.length >= MAX_BATCH) flush();
+  else if (!timer) timer = setTimeout(flush, BATCH_DELAY);
+}
+
+// A short description of a clicked element, e.g. `button#save "Save"`.
+function describeElement(element: Element) {
+  const id = element.id ? `#${element.id}` : '';
+  const text = (element.textContent || '').trim().slice(0, 40);
+  return `${element.tagName.toLowerCase()}${id}${text ? ` "${text}"` : ''}`;
+}
+
+// Call once, before mounting the app.
+export function initErrorReporting() {
+  if (typeof window === 'undefined' || !endpoint) return;
+
+  window.addEventListener('error', (event) => {
+    reportError(event.error || event.message, 'error');
+  });
+  window.addEventListener('unhandledrejection', (event) => {
+    reportError(event.reason, 'unhandledrejection');
+  });
+
+  addBreadcrumb('navigation', window.location.pathname);
+  window.addEventListener('popstate', () => {
+    addBreadcrumb('navigation', window.location.pathname);
+  });
+  document.addEventListener(
+    'click',
+    (event) => {
+      const target = event.target;
+      if (target instanceof Element) {
+        const element = target.closest('a, button, [role="button"]') || target;
+        addBreadcrumb('click', describeElement(element));
+      }
+    },
+    true
+  );
+
+  const consoleError = console.error;
+  console.error = (...args: unknown[]) => {
+    addBreadcrumb('console', args.map(String).join(' ').slice(0, 200));
+    consoleError.apply(console, args);
+  };
+
+  // Send what's left when the page is hidden or closed.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+  window.addEventListener('pagehide', flush);
+}
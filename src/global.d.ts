@@ -28,7 +28,12 @@ declare global {
 declare namespace NodeJS {
   interface ProcessEnv {
     readonly NODE_ENV: 'development' | 'production' | 'test';
+    readonly APP_MODE: string;
     readonly PUBLIC_URL: string;
+    readonly APP_VERSION: string;
+    readonly ERROR_REPORTING_URL: string;
+    readonly PERFORMANCE_REPORTING_URL: string;
+    readonly PERFORMANCE_OVERLAY: 'true' | 'false';
   }
 }
 
@@ -0,0 +1,29 @@
+import * as React from 'react';
+
+// The title and `<meta name>` tags of the current route. Prerendered pages
+// get them in their HTML; in the browser they are applied to the document.
+export type HeadTags = { title?: string; meta?: Record<string, string> };
+
+// Collects the tags rendered during prerendering, see `mount.server.tsx`.
+export const HeadContext = React.createContext<HeadTags[] | null>(null);
+
+export function Head(props: HeadTags) {
+  const collected = React.useContext(HeadContext);
+  if (collected) collected.push(props);
+
+  const { title, meta = {} } = props;
+  React.useEffect(() => {
+    if (title !== undefined) document.title = title;
+    Object.keys(meta).forEach((name) => {
+      let tag = document.head.querySelector(`meta[name="${name}"]`);
+      if (!tag) {
+        tag = document.createElement('meta');
+        tag.setAttribute('name', name);
+        document.head.appendChild(tag);
+      }
+      tag.setAttribute('content', meta[name]);
+    });
+  });
+
+  return null;
+}
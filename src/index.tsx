@@ -1,13 +1,20 @@
 import * as React from 'react';
-import ReactDOM from 'react-dom';
 
-import classes from './style.module.scss';
+import { ErrorBoundary } from './errorBoundary';
+import { initErrorReporting } from './errorReporting';
+import { mount } from './mount';
+import { initPerformance } from './performance';
+import { Router } from './routes.generated';
 
-const App = () => <h1 className={classes.title}>Hello, World!</h1>;
+initErrorReporting();
+initPerformance();
 
-ReactDOM.render(
+const App = ({ url }: { url: string }) => (
   <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-  document.getElementById('root')
+    <ErrorBoundary>
+      <Router url={url} />
+    </ErrorBoundary>
+  </React.StrictMode>
 );
+
+mount(App);
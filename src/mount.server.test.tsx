@@ -0,0 +1,39 @@
+/** @jest-environment node */
+import * as React from 'react';
+
+import { Head } from './head';
+import { mount, renderPage } from './mount.server';
+
+const Page = ({ url }: { url?: string }) => (
+  <main>
+    <Head title="App" meta={{ description: 'An app', robots: 'all' }} />
+    <section>
+      <Head title="Pricing" meta={{ description: 'What it costs' }} />
+      <h1>Rendered for {url}</h1>
+    </section>
+  </main>
+);
+
+describe('renderPage', () => {
+  it('requires a call to mount()', () => {
+    expect(() => renderPage('/')).toThrow(
+      'The page did not call mount() from src/mount.tsx.'
+    );
+  });
+
+  it('renders the mounted app for the URL', async () => {
+    mount(Page, 'app');
+
+    const { html, head, containerId } = await renderPage('/pricing');
+
+    expect(html).toBe(
+      '<main><section><h1>Rendered for <!-- -->/pricing</h1></section></main>'
+    );
+    expect(containerId).toBe('app');
+    // Nested tags win over the ones around them.
+    expect(head).toEqual({
+      title: 'Pricing',
+      meta: { description: 'What it costs', robots: 'all' },
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import * as React from 'react';
+import { renderToString } from 'react-dom/server';
+
+import { HeadContext, HeadTags } from './head';
+import type { App } from './mount';
+import { preloadRoute } from './router';
+
+// Takes the place of `mount.tsx` when the build compiles the pages for
+// prerendering: `mount()` only keeps the app, and `renderPage()` renders it.
+
+let mounted: { app: App; containerId: string } | null = null;
+
+export function mount(app: App, containerId = 'root') {
+  mounted = { app, containerId };
+}
+
+function render(app: App, url: string) {
+  const collected: HeadTags[] = [];
+  const html = renderToString(
+    <HeadContext.Provider value={collected}>
+      {typeof app === 'function' ? React.createElement(app, { url }) : app}
+    </HeadContext.Provider>
+  );
+
+  // Nested <Head>s override the ones around them.
+  const head = collected.reduce<HeadTags>(
+    (merged, { title, meta }) => ({
+      title: title !== undefined ? title : merged.title,
+      meta: { ...merged.meta, ...meta },
+    }),
+    {}
+  );
+
+  return { html, head };
+}
+
+export function renderPage(url: string) {
+  if (!mounted) {
+    throw new Error('The page did not call mount() from src/mount.tsx.');
+  }
+
+  const { app, containerId } = mounted;
+  // Routes render their loading state until loaded, see `router.tsx`.
+  return preloadRoute(url).then(() => ({ ...render(app, url), containerId }));
+}
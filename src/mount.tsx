@@ -0,0 +1,33 @@
+import { ComponentType, createElement, ReactElement } from 'react';
+import ReactDOM from 'react-dom';
+
+import { preloadRoute } from './router';
+
+// The app, or a component rendering it for a `url` (the pathname, public path
+// included).
+export type App = ReactElement | ComponentType<{ url: string }>;
+
+const trimSlash = (url: string) => url.replace(/\/+$/, '') || '/';
+
+// Render the app into the element with id `containerId`. Markup prerendered
+// for this URL by the build (see `config/prerender.js`) is hydrated; markup
+// prerendered for another URL, e.g. when the page is a history fallback, is
+// replaced. The route being hydrated (see `router.tsx`) is loaded first, so
+// the markup matches.
+export function mount(app: App, containerId = 'root') {
+  const container = document.getElementById(containerId);
+  if (!container) {
+    throw new Error(`There is no element with id "${containerId}".`);
+  }
+
+  const url = window.location.pathname;
+  const element = typeof app === 'function' ? createElement(app, { url }) : app;
+  const prerendered = container.dataset.prerendered;
+
+  if (prerendered && trimSlash(prerendered) === trimSlash(url)) {
+    preloadRoute(url).then(() => ReactDOM.hydrate(element, container));
+  } else {
+    container.textContent = '';
+    ReactDOM.render(element, container);
+  }
+}
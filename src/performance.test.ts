@@ -0,0 +1,20 @@
+import { rate } from './performance';
+
+describe('rate', () => {
+  it('rates values up to the "good" limit as good', () => {
+    expect(rate('LCP', 1200)).toBe('good');
+    expect(rate('LCP', 2500)).toBe('good');
+    expect(rate('CLS', 0.1)).toBe('good');
+  });
+
+  it('rates values up to the "needs improvement" limit', () => {
+    expect(rate('LCP', 2501)).toBe('needs-improvement');
+    expect(rate('INP', 500)).toBe('needs-improvement');
+    expect(rate('CLS', 0.25)).toBe('needs-improvement');
+  });
+
+  it('rates anything above as poor', () => {
+    expect(rate('FID', 301)).toBe('poor');
+    expect(rate('CLS', 0.26)).toBe('poor');
+  });
+});
@@ -0,0 +1,199 @@
+// Measures the Web Vitals of the page with the Performance APIs: LCP, CLS,
+// FID, INP, TTFB and FCP, plus the long tasks. When the page is hidden they
+// are sent to PERFORMANCE_REPORTING_URL with the build version and route;
+// `config/vitalsCollector.js` collects them on the dev server and in
+// `npm run serve`. In development, PERFORMANCE_OVERLAY shows them live.
+
+import { sendBeacon } from './sendBeacon';
+
+export type MetricName = 'LCP' | 'CLS' | 'FID' | 'INP' | 'TTFB' | 'FCP';
+
+export type Metrics = Partial<Record<MetricName, number>>;
+
+export type PerformanceReport = {
+  // Of the page view, reports sent again when it's hidden again replace it.
+  id: string;
+  version: string;
+  route: string;
+  url: string;
+  time: string;
+  metrics: Metrics;
+  longTasks: { count: number; duration: number };
+};
+
+type Rating = 'good' | 'needs-improvement' | 'poor';
+
+// The limits of "good" and "needs improvement", from https://web.dev/vitals.
+const THRESHOLDS: Record<MetricName, [number, number]> = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  FID: [100, 300],
+  INP: [200, 500],
+  TTFB: [800, 1800],
+  FCP: [1800, 3000],
+};
+
+export function rate(name: MetricName, value: number): Rating {
+  const [good, poor] = THRESHOLDS[name];
+  return value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+}
+
+const endpoint = process.env.PERFORMANCE_REPORTING_URL;
+
+const metrics: Metrics = {};
+const longTasks = { count: 0, duration: 0 };
+const listeners = new Set<() => void>();
+
+function setMetric(name: MetricName, value: number) {
+  metrics[name] = name === 'CLS' ? value : Math.round(value);
+  listeners.forEach((listener) => listener());
+}
+
+export function getMetrics() {
+  return { metrics: { ...metrics }, longTasks: { ...longTasks } };
+}
+
+// Calls `listener` when a value changes, returns a function that stops it.
+export function onMetrics(listener: () => void) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+type EntryWithInput = PerformanceEntry & {
+  value: number;
+  hadRecentInput: boolean;
+};
+
+type EventEntry = PerformanceEntry & {
+  processingStart: number;
+  interactionId?: number;
+};
+
+function observe(
+  type: string,
+  callback: PerformanceObserverCallback,
+  options: Record<string, unknown> = {}
+) {
+  const supported = PerformanceObserver.supportedEntryTypes || [];
+  if (!supported.includes(type)) return;
+  // `durationThreshold` isn't in the DOM types yet.
+  new PerformanceObserver(callback).observe({
+    type,
+    buffered: true,
+    ...options,
+  } as PerformanceObserverInit);
+}
+
+function observeMetrics() {
+  const [navigation] = performance.getEntriesByType(
+    'navigation'
+  ) as PerformanceNavigationTiming[];
+  if (navigation) setMetric('TTFB', navigation.responseStart);
+
+  observe('paint', (list: PerformanceObserverEntryList) => {
+    list
+      .getEntries()
+      .filter((entry) => entry.name === 'first-contentful-paint')
+      .forEach((entry) => setMetric('FCP', entry.startTime));
+  });
+
+  // The largest paint until the user interacts.
+  let interacted = false;
+  const stopLcp = () => {
+    interacted = true;
+  };
+  ['keydown', 'click'].forEach((type) => {
+    window.addEventListener(type, stopLcp, { once: true, capture: true });
+  });
+  observe('largest-contentful-paint', (list: PerformanceObserverEntryList) => {
+    const entries = list.getEntries();
+    if (interacted) return;
+    setMetric('LCP', entries[entries.length - 1].startTime);
+  });
+
+  // The largest burst of shifts: shifts less than 1s apart, within 5s.
+  let session = { value: 0, start: 0, last: 0 };
+  observe('layout-shift', (list: PerformanceObserverEntryList) => {
+    (list.getEntries() as EntryWithInput[])
+      .filter((entry) => !entry.hadRecentInput)
+      .forEach((entry) => {
+        if (
+          entry.startTime - session.last > 1000 ||
+          entry.startTime - session.start > 5000
+        ) {
+          session = { value: 0, start: entry.startTime, last: 0 };
+        }
+        session.value += entry.value;
+        session.last = entry.startTime;
+        if (session.value > (metrics.CLS || 0)) setMetric('CLS', session.value);
+      });
+  });
+
+  observe('first-input', (list: PerformanceObserverEntryList) => {
+    const [entry] = list.getEntries() as EventEntry[];
+    setMetric('FID', entry.processingStart - entry.startTime);
+  });
+
+  // The slowest interaction, ignoring one in 50 as outliers.
+  const interactions = new Map<number, number>();
+  observe(
+    'event',
+    (list: PerformanceObserverEntryList) => {
+      (list.getEntries() as EventEntry[])
+        .filter((entry) => entry.interactionId)
+        .forEach((entry) => {
+          const id = entry.interactionId as number;
+          interactions.set(
+            id,
+            Math.max(interactions.get(id) || 0, entry.duration)
+          );
+        });
+      const durations = [...interactions.values()].sort((a, b) => b - a);
+      const inp = durations[Math.floor(durations.length / 50)];
+      if (inp !== undefined) setMetric('INP', inp);
+    },
+    { durationThreshold: 40 }
+  );
+
+  observe('longtask', (list: PerformanceObserverEntryList) => {
+    list.getEntries().forEach((entry) => {
+      longTasks.count++;
+      longTasks.duration += Math.round(entry.duration);
+    });
+    listeners.forEach((listener) => listener());
+  });
+}
+
+// Starts observing at once, so the metrics of the first paint are recorded;
+// it has to run before the app is mounted.
+export function initPerformance() {
+  if (typeof window === 'undefined' || !window.PerformanceObserver) return;
+
+  observeMetrics();
+
+  if (process.env.PERFORMANCE_OVERLAY === 'true') {
+    import('./performanceOverlay').then(({ showPerformanceOverlay }) =>
+      showPerformanceOverlay()
+    );
+  }
+
+  // The route the page was loaded on, not where the user went from there.
+  const base = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+    version: process.env.APP_VERSION,
+    route: window.location.pathname,
+    url: window.location.href,
+  };
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'hidden' || !endpoint) return;
+    const report: PerformanceReport = {
+      ...base,
+      time: new Date().toISOString(),
+      metrics: { ...metrics },
+      longTasks: { ...longTasks },
+    };
+    sendBeacon(endpoint, report);
+  });
+}
@@ -0,0 +1,60 @@
+import { getMetrics, MetricName, onMetrics, rate } from './performance';
+
+// The live Web Vitals of the page, in a corner, for development. Shown with
+// PERFORMANCE_OVERLAY (see `performance.ts`); click it to collapse it.
+
+const ORDER: MetricName[] = ['TTFB', 'FCP', 'LCP', 'CLS', 'FID', 'INP'];
+
+const COLORS = {
+  good: '#0cce6b',
+  'needs-improvement': '#ffa400',
+  poor: '#ff4e42',
+};
+
+const format = (name: MetricName, value: number) =>
+  name === 'CLS' ? value.toFixed(3) : `${value} ms`;
+
+export function showPerformanceOverlay() {
+  const overlay = document.createElement('div');
+  overlay.setAttribute('aria-hidden', 'true');
+  overlay.title = 'Web Vitals of this page';
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    right: '8px',
+    bottom: '8px',
+    zIndex: '2147483647',
+    padding: '6px 8px',
+    borderRadius: '4px',
+    background: 'rgba(0, 0, 0, 0.8)',
+    color: '#fff',
+    font: '11px/1.5 monospace',
+    cursor: 'pointer',
+  });
+
+  let collapsed = false;
+  const render = () => {
+    const { metrics, longTasks } = getMetrics();
+    const rows = ORDER.filter((name) => metrics[name] !== undefined).map(
+      (name) => {
+        const value = metrics[name] as number;
+        const color = COLORS[rate(name, value)];
+        return `<div><span style="color:${color}">●</span> ${name} ${format(
+          name,
+          value
+        )}</div>`;
+      }
+    );
+    rows.push(
+      `<div>Long tasks ${longTasks.count} (${longTasks.duration} ms)</div>`
+    );
+    overlay.innerHTML = collapsed ? 'Vitals' : rows.join('');
+  };
+
+  overlay.addEventListener('click', () => {
+    collapsed = !collapsed;
+    render();
+  });
+  onMetrics(render);
+  render();
+  document.body.appendChild(overlay);
+}
@@ -0,0 +1,148 @@
+import * as React from 'react';
+import { render, unmountComponentAtNode } from 'react-dom';
+import { act } from 'react-dom/test-utils';
+
+import { RouteErrorProps, createRouter, preloadRoute } from './router';
+
+type Routes = {
+  '/': Record<never, never>;
+  '/users/:id': { id: string };
+  '/docs/*path': { path: string };
+};
+
+const page = (Component: React.ComponentType) => () =>
+  Promise.resolve({ default: Component });
+
+const Layout = ({ children }: { children: React.ReactNode }) => (
+  <div className="layout">{children}</div>
+);
+
+const Failed = ({ error }: RouteErrorProps) => <p>Failed: {error.message}</p>;
+
+const User = () => <h1>User {useParams<'/users/:id'>().id}</h1>;
+
+const { Router, Link, href, useParams } = createRouter<Routes>(
+  [
+    { path: '/users/:id', load: page(User), layouts: [Layout] },
+    {
+      path: '/docs/*path',
+      load: () => Promise.reject(new Error('Chunk failed')),
+      layouts: [],
+      error: Failed,
+    },
+    {
+      path: '/',
+      load: page(() => <h1>Home</h1>),
+      layouts: [],
+      loading: () => <p>Loading</p>,
+    },
+  ],
+  () => <h1>Not found</h1>
+);
+
+let container: HTMLDivElement;
+
+beforeEach(() => {
+  container = document.createElement('div');
+  document.body.appendChild(container);
+});
+
+afterEach(() => {
+  unmountComponentAtNode(container);
+  container.remove();
+  window.history.replaceState(null, '', '/');
+});
+
+async function renderAt(url: string) {
+  window.history.replaceState(null, '', url);
+  await act(async () => {
+    render(<Router />, container);
+  });
+}
+
+describe('href', () => {
+  it('fills in the encoded params', () => {
+    expect(href('/')).toBe('/');
+    expect(href('/users/:id', { id: 'jane doe' })).toBe('/users/jane%20doe');
+    expect(href('/docs/*path', { path: 'guides/setup' })).toBe(
+      '/docs/guides/setup'
+    );
+  });
+});
+
+describe('Router', () => {
+  it('renders the matching route in its layouts, with its params', async () => {
+    await renderAt('/users/42');
+
+    expect(container.innerHTML).toBe(
+      '<div class="layout"><h1>User 42</h1></div>'
+    );
+  });
+
+  it('renders a preloaded route right away', async () => {
+    await preloadRoute('/');
+    window.history.replaceState(null, '', '/');
+    render(<Router />, container);
+
+    expect(container.innerHTML).toBe('<h1>Home</h1>');
+  });
+
+  it('renders the error component when a route fails to load', async () => {
+    // React logs the errors boundaries catch.
+    const consoleError = jest
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+
+    await renderAt('/docs/guides/setup');
+
+    expect(container.innerHTML).toBe('<p>Failed: Chunk failed</p>');
+    consoleError.mockRestore();
+  });
+
+  it('renders the 404 page for unknown URLs', async () => {
+    await renderAt('/projects');
+
+    expect(container.innerHTML).toBe('<h1>Not found</h1>');
+  });
+
+  it('renders the 404 page for URLs with a malformed escape', async () => {
+    await renderAt('/users/%E0%A4%A');
+
+    expect(container.innerHTML).toBe('<h1>Not found</h1>');
+  });
+});
+
+describe('Link', () => {
+  it('navigates without reloading the page', async () => {
+    const scrollTo = jest
+      .spyOn(window, 'scrollTo')
+      .mockImplementation(() => {});
+    await renderAt('/');
+    const link = document.createElement('div');
+    document.body.appendChild(link);
+    render(
+      <Link to="/users/:id" params={{ id: '7' }}>
+        Profile
+      </Link>,
+      link
+    );
+
+    const anchor = link.querySelector('a') as HTMLAnchorElement;
+    expect(anchor.getAttribute('href')).toBe('/users/7');
+
+    await act(async () => {
+      anchor.dispatchEvent(
+        new MouseEvent('click', { bubbles: true, cancelable: true, button: 0 })
+      );
+    });
+
+    expect(window.location.pathname).toBe('/users/7');
+    expect(scrollTo).toHaveBeenCalledWith(0, 0);
+    expect(container.innerHTML).toBe(
+      '<div class="layout"><h1>User 7</h1></div>'
+    );
+    unmountComponentAtNode(link);
+    link.remove();
+    scrollTo.mockRestore();
+  });
+});
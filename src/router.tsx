@@ -0,0 +1,343 @@
+import * as React from 'react';
+
+import { addBreadcrumb, reportError } from './errorReporting';
+
+// Client-side routing for the routes generated from `src/routes` (see
+// `config/routes.js`). Import `Router`, `Link`, `href`, `navigate` and
+// `useParams` from `routes.generated.tsx`, where they are typed with the
+// routes of the app.
+
+export type RouteModule = { default: React.ComponentType };
+
+export type RouteErrorProps = { error: Error; retry: () => void };
+
+export type RouteDefinition = {
+  path: string;
+  load: () => Promise<RouteModule>;
+  // Outermost first.
+  layouts: React.ComponentType<{ children: React.ReactNode }>[];
+  loading?: React.ComponentType;
+  error?: React.ComponentType<RouteErrorProps>;
+};
+
+type Params = Record<string, string>;
+
+type CompiledRoute = RouteDefinition & {
+  regex: RegExp;
+  names: string[];
+};
+
+type Match = { route: CompiledRoute; params: Params };
+
+type Location = { pathname: string; search: string; hash: string };
+
+const escapeRegExp = (string: string) =>
+  string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The public path the app is served under, without the trailing slash.
+const basename = (() => {
+  const publicUrl = process.env.PUBLIC_URL;
+  if (!publicUrl || publicUrl.startsWith('.')) return '';
+  return new URL(publicUrl, 'http://localhost').pathname.replace(/\/$/, '');
+})();
+
+function compileRoute(route: RouteDefinition): CompiledRoute {
+  const names: string[] = [];
+  const source = route.path
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith(':')) {
+        names.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      if (segment.startsWith('*')) {
+        names.push(segment.slice(1));
+        return '(.*)';
+      }
+      return escapeRegExp(segment);
+    })
+    .join('/');
+  return { ...route, regex: new RegExp(`^${source}/?$`), names };
+}
+
+// Routes of the app, set by `createRouter()`.
+let appRoutes: CompiledRoute[] = [];
+
+function matchRoute(url: string): Match | null {
+  const pathname = url.split(/[?#]/)[0];
+  if (pathname !== basename && !pathname.startsWith(`${basename}/`)) {
+    return null;
+  }
+  const path = pathname.slice(basename.length) || '/';
+
+  for (const route of appRoutes) {
+    const match = route.regex.exec(path);
+    if (match) {
+      const params: Params = {};
+      try {
+        route.names.forEach((name, index) => {
+          params[name] = decodeURIComponent(match[index + 1]);
+        });
+      } catch (error) {
+        // A malformed escape such as `%E0%A4%A` matches no route.
+        continue;
+      }
+      return { route, params };
+    }
+  }
+  return null;
+}
+
+// Loaded route modules, or why they failed to load.
+const loaded = new Map<CompiledRoute, RouteModule | Error>();
+
+function loadRoute(route: CompiledRoute) {
+  return route.load().then(
+    (module) => {
+      loaded.set(route, module);
+    },
+    (error) => {
+      loaded.set(route, error instanceof Error ? error : new Error(error));
+    }
+  );
+}
+
+// Load the route matching `url` ahead of rendering it, so prerendering and
+// hydration render the page instead of its loading state.
+export function preloadRoute(url: string) {
+  const match = matchRoute(url);
+  return match && !loaded.has(match.route)
+    ? loadRoute(match.route)
+    : Promise.resolve();
+}
+
+// History
+
+const listeners = new Set<() => void>();
+
+const getLocation = (): Location => {
+  const { pathname, search, hash } = window.location;
+  return { pathname, search, hash };
+};
+
+export function navigate(url: string, { replace = false } = {}) {
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  addBreadcrumb('navigation', url);
+  window.scrollTo(0, 0);
+  listeners.forEach((listener) => listener());
+}
+
+function useHistoryLocation(serverUrl?: string): Location {
+  const [location, setLocation] = React.useState<Location>(() => {
+    if (typeof window !== 'undefined') return getLocation();
+    const url = new URL(serverUrl || '/', 'http://localhost');
+    return { pathname: url.pathname, search: url.search, hash: url.hash };
+  });
+
+  React.useEffect(() => {
+    const update = () => setLocation(getLocation());
+    listeners.add(update);
+    window.addEventListener('popstate', update);
+    return () => {
+      listeners.delete(update);
+      window.removeEventListener('popstate', update);
+    };
+  }, []);
+
+  return location;
+}
+
+// Rendering
+
+const RouteContext = React.createContext<{
+  params: Params;
+  location: Location;
+}>({ params: {}, location: { pathname: '/', search: '', hash: '' } });
+
+type BoundaryProps = {
+  fallback: RouteDefinition['error'];
+  onRetry: () => void;
+  children: React.ReactNode;
+};
+
+const DefaultError = ({ error, retry }: RouteErrorProps) => (
+  <div role="alert">
+    <p>Something went wrong: {error.message}</p>
+    <button type="button" onClick={retry}>
+      Try again
+    </button>
+  </div>
+);
+
+class RouteErrorBoundary extends React.Component<
+  BoundaryProps,
+  { error: Error | null }
+> {
+  constructor(props: BoundaryProps) {
+    super(props);
+    this.state = { error: null };
+    this.retry = this.retry.bind(this);
+  }
+
+  static getDerivedStateFromError(error: Error) {
+    return { error };
+  }
+
+  componentDidCatch(error: Error, info: React.ErrorInfo) {
+    reportError(error, 'boundary', info.componentStack);
+  }
+
+  retry() {
+    this.setState({ error: null });
+    this.props.onRetry();
+  }
+
+  render() {
+    const { error } = this.state;
+    if (!error) return this.props.children;
+
+    const Fallback = this.props.fallback || DefaultError;
+    return <Fallback error={error} retry={this.retry} />;
+  }
+}
+
+const RouteContent = ({ route }: { route: CompiledRoute }) => {
+  const [, rerender] = React.useReducer((count: number) => count + 1, 0);
+  const module = loaded.get(route);
+
+  React.useEffect(() => {
+    if (!module) loadRoute(route).then(rerender);
+  }, [route, module]);
+
+  if (module instanceof Error) throw module;
+  if (!module) {
+    const Loading = route.loading;
+    return Loading ? <Loading /> : null;
+  }
+
+  const Page = module.default;
+  return <Page />;
+};
+
+const RouteView = ({ route }: { route: CompiledRoute }) => {
+  const [, rerender] = React.useReducer((count: number) => count + 1, 0);
+  const { location } = React.useContext(RouteContext);
+
+  // Layouts stay mounted across the routes that share them.
+  return route.layouts.reduceRight<React.ReactElement>(
+    (children, Layout) => <Layout>{children}</Layout>,
+    <RouteErrorBoundary
+      key={location.pathname}
+      fallback={route.error}
+      onRetry={() => {
+        // Try loading it again if that's what failed.
+        if (loaded.get(route) instanceof Error) loaded.delete(route);
+        rerender();
+      }}
+    >
+      <RouteContent route={route} />
+    </RouteErrorBoundary>
+  );
+};
+
+type ParamArgs<T> = keyof T extends never ? [] : [T];
+
+type AnchorProps = React.AnchorHTMLAttributes<HTMLAnchorElement>;
+
+type ParamsProp<T> = keyof T extends never ? { params?: never } : { params: T };
+
+type LinkProps<Routes, P extends keyof Routes> = AnchorProps & {
+  to: P;
+} & ParamsProp<Routes[P]>;
+
+const isModifiedEvent = (event: React.MouseEvent) =>
+  event.metaKey || event.altKey || event.ctrlKey || event.shiftKey;
+
+function fillPath(path: string, params: Params = {}) {
+  const filled = path
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith(':')) {
+        return encodeURIComponent(params[segment.slice(1)]);
+      }
+      if (segment.startsWith('*')) return params[segment.slice(1)];
+      return segment;
+    })
+    .join('/');
+  return basename + filled;
+}
+
+// The router of the app, typed with its routes: `Routes` maps each route path
+// to its params, e.g. `{ '/users/:id': { id: string } }`.
+export function createRouter<Routes extends Record<keyof Routes, Params>>(
+  routes: RouteDefinition[],
+  notFound?: React.ComponentType
+) {
+  appRoutes = routes.map(compileRoute);
+
+  // The URL of a route, public path included.
+  function href<P extends keyof Routes & string>(
+    path: P,
+    ...[params]: ParamArgs<Routes[P]>
+  ) {
+    return fillPath(path, params);
+  }
+
+  // Renders the route matching the current URL, or `url` when prerendering.
+  const Router = ({ url }: { url?: string }) => {
+    const location = useHistoryLocation(url);
+    const match = matchRoute(location.pathname);
+
+    if (!match) {
+      const NotFound = notFound;
+      return NotFound ? <NotFound /> : null;
+    }
+
+    return (
+      <RouteContext.Provider value={{ params: match.params, location }}>
+        <RouteView route={match.route} />
+      </RouteContext.Provider>
+    );
+  };
+
+  const Link = <P extends keyof Routes & string>({
+    to,
+    params,
+    onClick,
+    ...props
+  }: LinkProps<Routes, P>) => {
+    const url = fillPath(to, params);
+
+    return (
+      <a
+        {...props}
+        href={url}
+        onClick={(event) => {
+          if (onClick) onClick(event);
+          if (
+            event.defaultPrevented ||
+            event.button !== 0 ||
+            isModifiedEvent(event) ||
+            (props.target && props.target !== '_self')
+          ) {
+            return;
+          }
+          event.preventDefault();
+          navigate(url);
+        }}
+      />
+    );
+  };
+
+  // The params of the current route, e.g. `useParams<'/users/:id'>().id`.
+  function useParams<P extends keyof Routes>(): Routes[P] {
+    return React.useContext(RouteContext).params as Routes[P];
+  }
+
+  return { Router, Link, href, navigate, useParams };
+}
+
+// The current pathname, search and hash.
+export function useLocation(): Location {
+  return React.useContext(RouteContext).location;
+}
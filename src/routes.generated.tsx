@@ -0,0 +1,28 @@
+// Generated from src/routes by `npm run dev` and `npm run build`.
+// Do not edit, change the files in src/routes instead.
+
+import { createRouter } from './router';
+
+export type RouteParams = {
+  '/': Record<never, never>;
+};
+
+export type RoutePath = keyof RouteParams;
+
+export const {
+  Router,
+  Link,
+  href,
+  navigate,
+  useParams,
+} = createRouter<RouteParams>(
+  [
+    {
+      path: '/',
+      load: () =>
+        import(/* webpackChunkName: "route-index" */ './routes/index'),
+      layouts: [],
+    },
+  ],
+  undefined
+);
@@ -0,0 +1,7 @@
+import * as React from 'react';
+
+import classes from '../style.module.scss';
+
+const Home = () => <h1 className={classes.title}>Hello, World!</h1>;
+
+export default Home;
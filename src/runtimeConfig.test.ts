@@ -0,0 +1,34 @@
+import { getConfig } from './runtimeConfig';
+
+type RuntimeConfigWindow = { __ENV__?: Record<string, string> };
+
+const runtimeWindow = window as unknown as RuntimeConfigWindow;
+// Writable, whatever `src/env.generated.ts` declares.
+const env = process.env as Record<string, string | undefined>;
+
+afterEach(() => {
+  delete runtimeWindow.__ENV__;
+  delete env.REACT_APP_API_URL;
+});
+
+describe('getConfig', () => {
+  it('reads the values compiled into the bundle', () => {
+    env.REACT_APP_API_URL = '/api';
+
+    expect(getConfig('REACT_APP_API_URL')).toBe('/api');
+  });
+
+  it('prefers the values of env-config.js', () => {
+    env.REACT_APP_API_URL = '/api';
+    runtimeWindow.__ENV__ = { REACT_APP_API_URL: 'https://api.example.com' };
+
+    expect(getConfig('REACT_APP_API_URL')).toBe('https://api.example.com');
+  });
+
+  it('falls back for variables env-config.js does not have', () => {
+    env.REACT_APP_API_URL = '/api';
+    runtimeWindow.__ENV__ = {};
+
+    expect(getConfig('REACT_APP_API_URL')).toBe('/api');
+  });
+});
@@ -0,0 +1,17 @@
+// Typed access to the client configuration. With RUNTIME_CONFIG=true the
+// values come from `env-config.js` (see `config/runtimeConfig.js`), which can
+// be rewritten per environment after the build; otherwise, and for variables
+// it doesn't have, from the values compiled into the bundle.
+
+type ClientEnv = typeof process.env;
+
+type RuntimeConfigWindow = { __ENV__?: Partial<ClientEnv> };
+
+export function getConfig<K extends keyof ClientEnv>(key: K): ClientEnv[K] {
+  const runtime =
+    typeof window !== 'undefined'
+      ? (window as unknown as RuntimeConfigWindow).__ENV__
+      : undefined;
+  if (runtime && key in runtime) return runtime[key] as ClientEnv[K];
+  return process.env[key];
+}
@@ -0,0 +1,36 @@
+import { sendBeacon } from './sendBeacon';
+
+let beacon: jest.Mock;
+let fetch: jest.Mock;
+
+beforeEach(() => {
+  beacon = jest.fn(() => true);
+  fetch = jest.fn(() => Promise.resolve());
+  Object.defineProperty(navigator, 'sendBeacon', {
+    value: beacon,
+    configurable: true,
+  });
+  Object.defineProperty(window, 'fetch', { value: fetch, configurable: true });
+});
+
+describe('sendBeacon', () => {
+  it('sends the data as JSON with a beacon', () => {
+    sendBeacon('/__errors', { reports: [] });
+
+    expect(beacon).toHaveBeenCalledWith('/__errors', '{"reports":[]}');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('falls back to fetch when the beacon is not queued', () => {
+    beacon.mockReturnValue(false);
+
+    sendBeacon('/__vitals', { id: '1' });
+
+    expect(fetch).toHaveBeenCalledWith('/__vitals', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"id":"1"}',
+      keepalive: true,
+    });
+  });
+});
@@ -0,0 +1,15 @@
+// Sends `data` as JSON to `url` with a beacon, which survives the page being
+// closed, or with `fetch` where the browser has no beacons or won't queue one.
+// What can't be sent is lost, like a beacon would be.
+export function sendBeacon(url: string, data: unknown) {
+  const body = JSON.stringify(data);
+  if (navigator.sendBeacon && navigator.sendBeacon(url, body)) return;
+  fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+    keepalive: true,
+  }).catch(() => {
+    // Nowhere left to send it to.
+  });
+}
@@ -1,145 +1,147 @@
-// This optional code is used to register a service worker.
-// register() is not called by default.
-
-// This lets the app load faster on subsequent visits in production, and gives
-// it offline capabilities. However, it also means that developers (and users)
-// will only see deployed updates on subsequent visits to a page, after all the
-// existing tabs open on the page have been closed, since previously cached
-// resources are updated in the background.
-
-// To learn more about the benefits of this model and instructions on how to
-// opt-in, read https://bit.ly/CRA-PWA
-
-const isLocalhost = Boolean(
-  window.location.hostname === 'localhost' ||
-    // [::1] is the IPv6 localhost address.
-    window.location.hostname === '[::1]' ||
-    // 127.0.0.0/8 are considered localhost for IPv4.
-    window.location.hostname.match(
-      /^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/
-    )
-);
-
-type Config = {
-  onSuccess?: (registration: ServiceWorkerRegistration) => void;
-  onUpdate?: (registration: ServiceWorkerRegistration) => void;
+/// <reference lib="webworker" />
+/* eslint-disable no-restricted-globals */
+
+// This service worker is compiled by `InjectManifest` when the app is built
+// with SERVICE_WORKER=true and emitted as `service-worker.js`, the file
+// `serviceWorkerRegistration.ts` registers. It can be customized, see
+// https://developers.google.com/web/tools/workbox/modules
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { NavigationRoute, registerRoute } from 'workbox-routing';
+import {
+  CacheFirst,
+  CacheOnly,
+  NetworkFirst,
+  NetworkOnly,
+  StaleWhileRevalidate,
+} from 'workbox-strategies';
+import {
+  GET_VERSION,
+  SKIP_WAITING,
+  ServiceWorkerMessage,
+  VersionReply,
+} from './serviceWorkerMessages';
+
+declare const self: ServiceWorkerGlobalScope;
+
+type RuntimeCachingRoute = {
+  urlPattern?: string;
+  strategy: keyof typeof strategies;
+  cacheName: string;
+  networkTimeoutSeconds?: number;
+  maxEntries?: number;
+  maxAgeSeconds?: number;
 };
 
-export function register(config?: Config) {
-  if (process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator) {
-    // The URL constructor is available in all browsers that support SW.
-    const publicUrl = new URL(
-      process.env.PUBLIC_URL || '',
-      window.location.href
-    );
-    if (publicUrl.origin !== window.location.origin) {
-      // Our service worker won't work if PUBLIC_URL is on a different origin
-      // from what our page is served on. This might happen if a CDN is used to
-      // serve assets; see https://github.com/facebook/create-react-app/issues/2374
-      return;
-    }
+// Injected at build time from `config/serviceWorker.js`.
+declare const __RUNTIME_CACHING__: {
+  api?: RuntimeCachingRoute;
+  images?: RuntimeCachingRoute;
+};
 
-    window.addEventListener('load', () => {
-      const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
-
-      if (isLocalhost) {
-        // This is running on localhost. Let's check if a service worker still exists or not.
-        checkValidServiceWorker(swUrl, config);
-
-        // Add some additional logging to localhost, pointing developers to the
-        // service worker/PWA documentation.
-        navigator.serviceWorker.ready.then(() => {
-          console.log(
-            'This web app is being served cache-first by a service ' +
-              'worker. To learn more, visit https://bit.ly/CRA-PWA'
-          );
-        });
-      } else {
-        // Is not localhost. Just register service worker
-        registerValidSW(swUrl, config);
-      }
-    });
-  }
-}
+// Injected at build time from `config/pages.js`, longest prefix first.
+declare const __PAGES__: { urlPrefix: string; filename: string }[];
+
+const strategies = {
+  CacheFirst,
+  CacheOnly,
+  NetworkFirst,
+  NetworkOnly,
+  StaleWhileRevalidate,
+};
+
+const publicUrl = process.env.PUBLIC_URL;
+
+clientsClaim();
+
+// A new worker waits until the page asks it to take over, see `applyUpdate()`
+// in `serviceWorkerRegistration.ts`.
+self.addEventListener('message', (event) => {
+  const message: ServiceWorkerMessage | undefined = event.data;
+  if (!message) return;
 
-function registerValidSW(swUrl: string, config?: Config) {
-  navigator.serviceWorker
-    .register(swUrl)
-    .then((registration) => {
-      registration.onupdatefound = () => {
-        const installingWorker = registration.installing;
-        if (installingWorker == null) {
-          return;
-        }
-        installingWorker.onstatechange = () => {
-          if (installingWorker.state === 'installed') {
-            if (navigator.serviceWorker.controller) {
-              // At this point, the updated precached content has been fetched,
-              // but the previous service worker will still serve the older
-              // content until all client tabs are closed.
-              console.log(
-                'New content is available and will be used when all ' +
-                  'tabs for this page are closed. See https://bit.ly/CRA-PWA.'
-              );
-
-              // Execute callback
-              if (config && config.onUpdate) {
-                config.onUpdate(registration);
-              }
-            } else {
-              // At this point, everything has been precached.
-              // It's the perfect time to display a
-              // "Content is cached for offline use." message.
-              console.log('Content is cached for offline use.');
-
-              // Execute callback
-              if (config && config.onSuccess) {
-                config.onSuccess(registration);
-              }
-            }
-          }
-        };
+  switch (message.type) {
+    case SKIP_WAITING:
+      self.skipWaiting();
+      break;
+    case GET_VERSION: {
+      const reply: VersionReply = {
+        type: 'VERSION',
+        version: process.env.APP_VERSION,
       };
+      if (event.ports[0]) event.ports[0].postMessage(reply);
+      break;
+    }
+  }
+});
+
+// Precache all of the assets generated by your build process.
+// Their URLs are injected into the manifest variable below.
+// This variable must be present somewhere in your service worker file,
+// even if you decide not to use precaching. See https://cra.link/PWA
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Set up App Shell-style routing, so that all navigation requests
+// are fulfilled with the shell of the page owning the URL. Learn more at
+// https://developers.google.com/web/fundamentals/architecture/app-shell
+const escapeRegExp = (string: string) =>
+  string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+__PAGES__.forEach(({ urlPrefix, filename }) => {
+  const prefix = escapeRegExp(publicUrl + urlPrefix);
+  registerRoute(
+    new NavigationRoute(createHandlerBoundToURL(`${publicUrl}/${filename}`), {
+      // Only navigations under the page's prefix belong to it.
+      allowlist: [new RegExp(urlPrefix ? `^${prefix}(/|$)` : `^${prefix}/`)],
+      // URLs like /_api/... or /some/file.pdf are requests for resources,
+      // not for the app shell.
+      denylist: [/^\/_/, /\/[^/?]+\.[^/]+$/],
     })
-    .catch((error) => {
-      console.error('Error during service worker registration:', error);
+  );
+});
+
+function createStrategy(route: RuntimeCachingRoute) {
+  const Strategy = strategies[route.strategy];
+  const plugins =
+    route.maxEntries || route.maxAgeSeconds
+      ? [
+          new ExpirationPlugin({
+            maxEntries: route.maxEntries,
+            maxAgeSeconds: route.maxAgeSeconds,
+          }),
+        ]
+      : [];
+
+  if (Strategy === NetworkFirst) {
+    return new NetworkFirst({
+      cacheName: route.cacheName,
+      networkTimeoutSeconds: route.networkTimeoutSeconds,
+      plugins,
     });
+  }
+  return new Strategy({ cacheName: route.cacheName, plugins });
 }
 
-function checkValidServiceWorker(swUrl: string, config?: Config) {
-  // Check if the service worker can be found. If it can't reload the page.
-  fetch(swUrl, {
-    headers: { 'Service-Worker': 'script' },
-  })
-    .then((response) => {
-      // Ensure service worker exists, and that we really are getting a JS file.
-      const contentType = response.headers.get('content-type');
-      if (
-        response.status === 404 ||
-        (contentType != null && contentType.indexOf('javascript') === -1)
-      ) {
-        // No service worker found. Probably a different app. Reload the page.
-        navigator.serviceWorker.ready.then((registration) => {
-          registration.unregister().then(() => {
-            window.location.reload();
-          });
-        });
-      } else {
-        // Service worker found. Proceed as normal.
-        registerValidSW(swUrl, config);
-      }
-    })
-    .catch(() => {
-      console.log(
-        'No internet connection found. App is running in offline mode.'
-      );
-    });
+const { api, images } = __RUNTIME_CACHING__;
+
+if (api) {
+  const pattern = new RegExp(api.urlPattern || '^/api/');
+  registerRoute(
+    ({ url }) =>
+      url.origin === self.location.origin && pattern.test(url.pathname),
+    createStrategy(api)
+  );
 }
 
-export function unregister() {
-  if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.ready.then((registration) => {
-      registration.unregister();
-    });
-  }
+if (images) {
+  const pattern = images.urlPattern ? new RegExp(images.urlPattern) : null;
+  registerRoute(
+    ({ url, request }) =>
+      url.origin === self.location.origin &&
+      request.destination === 'image' &&
+      (!pattern || pattern.test(url.pathname)),
+    createStrategy(images)
+  );
 }
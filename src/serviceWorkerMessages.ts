@@ -0,0 +1,14 @@
+// Messages the page sends to the service worker. Shared by
+// `serviceWorkerRegistration.ts` and `service-worker.ts`.
+
+// Activate the waiting worker right away instead of after all tabs close.
+export const SKIP_WAITING = 'SKIP_WAITING';
+// Ask for the build version; the reply goes to the MessageChannel port
+// sent along with the message.
+export const GET_VERSION = 'GET_VERSION';
+
+export type ServiceWorkerMessage =
+  | { type: typeof SKIP_WAITING }
+  | { type: typeof GET_VERSION };
+
+export type VersionReply = { type: 'VERSION'; version: string };
@@ -0,0 +1,78 @@
+import {
+  applyUpdate,
+  getWaitingWorker,
+  onUpdateAvailable,
+  register,
+} from './serviceWorkerRegistration';
+import { SKIP_WAITING } from './serviceWorkerMessages';
+
+const createWorker = () =>
+  Object.assign(new EventTarget(), {
+    state: 'installed',
+    postMessage: jest.fn(),
+  });
+
+// An update from an earlier visit waits for the page's current worker.
+const waitingWorker = createWorker();
+const container = Object.assign(new EventTarget(), {
+  controller: createWorker(),
+  ready: new Promise(() => {}),
+  register: () => Promise.resolve({ waiting: waitingWorker }),
+});
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeAll(async () => {
+  Object.defineProperty(navigator, 'serviceWorker', { value: container });
+  window.fetch = () =>
+    Promise.resolve({
+      status: 200,
+      headers: new Headers({ 'content-type': 'application/javascript' }),
+    } as Response);
+
+  // Workers are only registered in production builds.
+  const { NODE_ENV } = process.env;
+  Object.assign(process.env, { NODE_ENV: 'production' });
+  register();
+  Object.assign(process.env, { NODE_ENV });
+
+  window.dispatchEvent(new Event('load'));
+  await flushPromises();
+});
+
+describe('serviceWorkerRegistration', () => {
+  it('finds the update waiting from an earlier visit', () => {
+    expect(getWaitingWorker()).toBe(waitingWorker);
+  });
+
+  it('activates the waiting worker, reloading the page only once', () => {
+    const addEventListener = jest.spyOn(container, 'addEventListener');
+
+    applyUpdate();
+    applyUpdate();
+
+    expect(waitingWorker.postMessage).toHaveBeenCalledTimes(2);
+    expect(waitingWorker.postMessage).toHaveBeenCalledWith(
+      { type: SKIP_WAITING },
+      []
+    );
+    expect(addEventListener).toHaveBeenCalledTimes(1);
+    expect(addEventListener).toHaveBeenCalledWith(
+      'controllerchange',
+      expect.any(Function),
+      { once: true }
+    );
+  });
+
+  it('tells the listeners once the waiting worker is activated', () => {
+    const listener = jest.fn();
+    const unsubscribe = onUpdateAvailable(listener);
+
+    waitingWorker.state = 'activated';
+    waitingWorker.dispatchEvent(new Event('statechange'));
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalledWith(null);
+    expect(getWaitingWorker()).toBe(null);
+  });
+});
@@ -0,0 +1,45 @@
+import * as React from 'react';
+
+import {
+  applyUpdate,
+  getWaitingWorker,
+  onUpdateAvailable,
+} from './serviceWorkerRegistration';
+import classes from './serviceWorkerUpdate.module.scss';
+
+// Tells whether a new build is installed and waiting. `update()` activates it
+// and reloads the page once the new worker is in control.
+export function useServiceWorkerUpdate() {
+  const [waitingWorker, setWaitingWorker] = React.useState(getWaitingWorker);
+
+  React.useEffect(() => onUpdateAvailable(setWaitingWorker), []);
+
+  return { updateAvailable: waitingWorker !== null, update: applyUpdate };
+}
+
+type UpdateAvailableProps = {
+  message?: React.ReactNode;
+  actionLabel?: React.ReactNode;
+  className?: string;
+};
+
+// Banner offering to reload into the new build. Renders nothing until an
+// update is waiting.
+export const UpdateAvailable = ({
+  message = 'A new version is available.',
+  actionLabel = 'Reload to update',
+  className,
+}: UpdateAvailableProps) => {
+  const { updateAvailable, update } = useServiceWorkerUpdate();
+
+  if (!updateAvailable) return null;
+
+  return (
+    <div role="status" className={className || classes.banner}>
+      {message}
+      <button type="button" className={classes.action} onClick={update}>
+        {actionLabel}
+      </button>
+    </div>
+  );
+};